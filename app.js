@@ -4,16 +4,53 @@ class WeatherChaser {
         this.map = null;
         this.markers = [];
         this.weatherData = [];
-        this.currentSortColumn = null;
-        this.currentSortDirection = 'desc';
+        this.fetchedWeather = []; // Unscored forecasts from the last search, kept for re-scoring
+        this.tableSort = []; // Table sort keys in priority order, e.g. [{ column: 'rainChance', direction: 'asc' }]
+        this.tableFilters = []; // Threshold filters on table columns; they hide rows and markers
+        this.comparedKeys = []; // Point keys ticked for the comparison panel, in the order they were ticked
+        this.comparisonRequest = 0; // Bumped on every redraw so late distance lookups are dropped
         this.searchMode = 'location'; // 'location', 'draw', or 'places'
         this.drawnItems = null;
         this.drawControl = null;
         this.drawnShape = null;
+        this.searchCenter = null; // Geocoded center and radius (km) of the last location search
+        this.landMask = null; // Land polygons with bounding boxes, loaded on first use
+        this.landMaskPromise = null;
+        this.heatmapLayer = null;
+        this.heatmapMetric = localStorage.getItem('weatherChaser.heatmapMetric') || 'off';
+        this.timelineDay = null; // Forecast day shown on the map, null for the average
+        this.timelineTimer = null;
         this.routePolyline = null;
+        this.altRoutePolyline = null;
         this.routeMarkers = [];
         this.currentRoute = null;
+        this.routeAlternatives = {}; // Routes by strategy ('greedy', 'optimal')
+        this.routeTravelCost = 0;
+        this.routeSettings = null; // Inputs the current route was built with
+        this.openedTrip = null; // Saved trip currently shown, if any
+        this.weatherProviderId = localStorage.getItem('weatherChaser.weatherProvider') || 'open-meteo';
+        this.weatherBaseUrl = localStorage.getItem('weatherChaser.weatherBaseUrl') || 'http://localhost:8080';
+        this.weatherModel = localStorage.getItem('weatherChaser.weatherModel') || 'best_match';
+        this.routingBaseUrl = localStorage.getItem('weatherChaser.routingBaseUrl') || 'https://router.project-osrm.org';
+        this.dbPromise = null; // Lazily opened IndexedDB connection
+        this.visibleColumns = []; // Result columns shown in the table
+        this.loadVisibleColumns();
+        this.hourlyMode = false; // Whether the last search fetched hourly values
+        this.activityWindow = null; // { start, end } hours used for scoring in hourly mode
+        this.dayFilter = { start: null, end: null, weekdays: [0, 1, 2, 3, 4, 5, 6] }; // Trip days that count for scoring
+        this.scoringProfiles = [];
+        this.activeProfileId = 'balanced';
+        this.loadScoringProfiles();
         this.manualPlaces = []; // Array of manually added places
+        this.countryBias = localStorage.getItem('weatherChaser.countryBias') || ''; // ISO code searched first
+        this.nominatimQueue = Promise.resolve(); // Nominatim lookups run one after another
+        this.lastNominatimRequest = 0;
+        this.geocodeCache = new Map(); // Nominatim and Photon responses by URL for this session
+        this.pickedSuggestions = {}; // Autocomplete choices by input id
+        this.closeGeocodePicker = null; // Settles the open place picker's promise, if any
+        this.devicePosition = null; // Last position reported by the Geolocation API, with a readable label
+        this.sharedOrigin = null; // Route start restored from a link or saved trip ("ro"), not this device's position
+        this.mapPickTarget = null; // 'location' or 'places' while map clicks pick a point
         this.currentSuggestions = []; // Store current suggestions for dynamic updates
 
         this.init();
@@ -21,7 +58,30 @@ class WeatherChaser {
 
     init() {
         this.initMap();
+        this.initHeatmapControls();
+        this.initTimelineControls();
         this.attachEventListeners();
+        this.initActivityWindowControls();
+        this.initDayFilterControls();
+        this.renderWeatherProviderSelect();
+        this.renderScoringEditor();
+        this.renderColumnChooser();
+        this.renderTableFilters();
+        this.renderTripsList();
+        this.renderCacheInspector();
+        this.registerServiceWorker();
+
+        // Restore a shared search from the URL, if any
+        this.restoreStateFromUrl();
+    }
+
+    registerServiceWorker() {
+        // Service workers only run over http(s), not when index.html is opened from disk
+        if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Offline mode unavailable:', error);
+        });
     }
 
     initMap() {
@@ -33,6 +93,10 @@ class WeatherChaser {
             maxZoom: 19
         }).addTo(this.map);
 
+        // Heatmaps sit below the spot markers and the route
+        this.map.createPane('heatmap');
+        this.map.getPane('heatmap').style.zIndex = 350;
+
         // Initialize Leaflet Draw
         this.drawnItems = new L.FeatureGroup();
         this.map.addLayer(this.drawnItems);
@@ -67,6 +131,8 @@ class WeatherChaser {
         this.map.on(L.Draw.Event.DELETED, () => {
             this.drawnShape = null;
         });
+
+        this.map.on('click', (e) => this.handleMapPick(e));
     }
 
     toggleDrawControl(show) {
@@ -85,6 +151,23 @@ class WeatherChaser {
             if (e.key === 'Enter') this.handleSearch();
         });
 
+        // Geocoding
+        this.initAutocomplete('location', 'locationSuggestions');
+        this.initAutocomplete('placeInput', 'placeSuggestions');
+        const useMyLocationBtn = document.getElementById('useMyLocationBtn');
+        useMyLocationBtn.addEventListener('click', () => this.useDeviceLocation(useMyLocationBtn));
+        document.querySelectorAll('.map-pick-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.toggleMapPick(this.mapPickTarget === btn.dataset.target ? null : btn.dataset.target);
+            });
+        });
+        const countryBiasSelect = document.getElementById('countryBias');
+        countryBiasSelect.value = this.countryBias;
+        countryBiasSelect.addEventListener('change', () => {
+            this.countryBias = countryBiasSelect.value;
+            localStorage.setItem('weatherChaser.countryBias', this.countryBias);
+        });
+
         // Tab switching
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -93,10 +176,16 @@ class WeatherChaser {
             });
         });
 
-        // Table sorting
-        document.querySelectorAll('th.sortable').forEach(th => {
-            th.addEventListener('click', () => this.handleSort(th.dataset.column));
+        // Table columns and filters (sorting is wired up when the header is rendered)
+        document.getElementById('columnChooser').addEventListener('change', (e) => {
+            this.toggleColumn(e.target.value, e.target.checked);
         });
+        document.getElementById('addFilterBtn').addEventListener('click', () => this.addTableFilter());
+        document.getElementById('clearSortBtn').addEventListener('click', () => {
+            this.tableSort = [];
+            this.displayInTable();
+        });
+        document.getElementById('compareBtn').addEventListener('click', () => this.openComparison());
 
         // Route builder
         const buildRouteBtn = document.getElementById('buildRouteBtn');
@@ -104,6 +193,66 @@ class WeatherChaser {
             buildRouteBtn.addEventListener('click', () => this.buildRoute());
         }
 
+        // Weather source
+        document.getElementById('weatherProvider').addEventListener('change', (e) => {
+            this.selectWeatherProvider(e.target.value);
+        });
+        document.getElementById('weatherModel').addEventListener('change', (e) => {
+            this.selectWeatherModel(e.target.value);
+        });
+        const weatherServerInput = document.getElementById('weatherServer');
+        weatherServerInput.value = this.weatherBaseUrl;
+        weatherServerInput.addEventListener('change', () => {
+            this.setWeatherBaseUrl(weatherServerInput.value);
+            weatherServerInput.value = this.weatherBaseUrl;
+            this.renderCacheInspector();
+        });
+
+        const routingServerInput = document.getElementById('routingServer');
+        if (routingServerInput) {
+            routingServerInput.value = this.routingBaseUrl;
+            routingServerInput.addEventListener('change', () => {
+                this.setRoutingBaseUrl(routingServerInput.value);
+                routingServerInput.value = this.routingBaseUrl;
+            });
+        }
+
+        // Scoring profiles
+        document.getElementById('scoringProfile').addEventListener('change', (e) => {
+            this.selectScoringProfile(e.target.value);
+        });
+        document.getElementById('scoringSliders').addEventListener('input', (e) => {
+            if (e.target.matches('input[type="range"]')) this.handleScoringInput(e.target);
+        });
+        document.getElementById('saveProfileBtn').addEventListener('click', () => this.saveProfileAsNew());
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => this.deleteActiveProfile());
+        document.getElementById('resetProfileBtn').addEventListener('click', () => this.resetActiveProfile());
+
+        // Share links
+        document.querySelectorAll('.share-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.copyShareLink(btn));
+        });
+
+        // Saved trips
+        document.querySelectorAll('.save-trip-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.saveCurrentTrip());
+        });
+
+        // Forecast cache
+        document.getElementById('clearExpiredBtn').addEventListener('click', () => this.clearExpiredForecasts());
+        document.getElementById('clearForecastCacheBtn').addEventListener('click', () => this.clearCache('forecasts'));
+        document.getElementById('clearDistanceCacheBtn').addEventListener('click', () => this.clearCache('distances'));
+        document.getElementById('clearDestinationCacheBtn').addEventListener('click', () => this.clearCache('destinations'));
+        document.getElementById('clearGeocodeCacheBtn').addEventListener('click', () => {
+            this.geocodeCache.clear();
+            this.clearCache('geocodes');
+        });
+
+        // Exports
+        document.querySelectorAll('.export-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleExport(btn.dataset.export));
+        });
+
         // Manual places mode
         const addPlaceBtn = document.getElementById('addPlaceBtn');
         const placeInput = document.getElementById('placeInput');
@@ -145,10 +294,27 @@ class WeatherChaser {
 
         // Toggle draw controls
         this.toggleDrawControl(mode === 'draw');
+        this.toggleMapPick(null);
+
+        // Manually added places are never moved or dropped
+        document.querySelectorAll('#gridFilters .control-group').forEach(group => {
+            group.classList.toggle('disabled', mode === 'places');
+        });
     }
 
     async handleSearch() {
-        const days = parseInt(document.getElementById('days').value);
+        this.updateDayFilter();
+        const days = this.getForecastDayCount();
+        if (days === null) return;
+
+        this.openedTrip = null;
+        this.sharedOrigin = null;
+        this.timelineDay = null;
+        this.stopTimelinePlayback();
+        document.getElementById('tripBanner').classList.add('hidden');
+        document.querySelectorAll('.forecast-age-banner').forEach(banner => banner.classList.add('hidden'));
+        this.hourlyMode = document.getElementById('hourlyMode').checked;
+        this.updateActivityWindow();
 
         this.showLoading(true);
 
@@ -165,11 +331,13 @@ class WeatherChaser {
                     return;
                 }
 
-                // Geocode location
-                const coords = await this.geocodeLocation(location);
+                // Geocode location (null when the user cancels the place picker)
+                const coords = await this.geocodeLocation(location, 'location');
+                if (!coords) return;
 
                 // Generate grid points
-                gridPoints = this.generateGridFromCenter(coords.lat, coords.lon, radius, gridSize);
+                gridPoints = await this.filterGridPoints(this.generateGridFromCenter(coords.lat, coords.lon, radius, gridSize));
+                this.searchCenter = { lat: coords.lat, lon: coords.lon, radius: radius };
 
                 // Center map on location
                 this.map.setView([coords.lat, coords.lon], 8);
@@ -181,7 +349,7 @@ class WeatherChaser {
                 }
 
                 const gridSize = parseInt(document.getElementById('drawGridSize').value);
-                gridPoints = this.generateGridFromShape(this.drawnShape, gridSize);
+                gridPoints = await this.filterGridPoints(this.generateGridFromShape(this.drawnShape, gridSize));
 
             } else if (this.searchMode === 'places') {
                 if (this.manualPlaces.length === 0) {
@@ -203,14 +371,32 @@ class WeatherChaser {
                 }
             }
 
+            if (gridPoints.length === 0) {
+                alert('No grid points are left after the water and elevation filters. Try a larger area or a wider elevation range.');
+                return;
+            }
+
             // Fetch weather data for all grid points
-            const weatherData = await this.fetchWeatherForGrid(gridPoints, days);
+            let weatherData = await this.fetchWeatherForGrid(gridPoints, days);
+
+            // Optionally fetch a denser grid around the best spots
+            if (this.searchMode !== 'places' && document.getElementById('refineGrid').checked) {
+                weatherData = weatherData.concat(await this.refineGrid(weatherData, days));
+            }
 
             // Calculate scores and sort
+            this.fetchedWeather = weatherData;
             this.weatherData = this.calculateScores(weatherData);
 
             // Display results
             this.displayResults();
+            this.renderForecastAgeBanner();
+            this.updateUrlState();
+
+            // Sources with a shorter horizon (MET Norway about 9 days) can end before the trip starts
+            if (this.weatherData.length === 0 && weatherData.some(point => point.weather)) {
+                alert(`None of the forecast days from ${this.getWeatherProvider().label} fall within your trip dates. Choose earlier dates or a source that forecasts further ahead.`);
+            }
 
         } catch (error) {
             console.error('Error:', error);
@@ -220,44 +406,595 @@ class WeatherChaser {
         }
     }
 
-    async geocodeLocation(location) {
-        // Check if it's coordinates (lat,lon)
-        const coordPattern = /^(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)$/;
-        const coordMatch = location.match(coordPattern);
+    // Geocoding Functions
+
+    async geocodeLocation(location, inputId = null) {
+        // Coordinates and map links need no lookup
+        const coords = /^(https?:\/\/|geo:)/i.test(location)
+            ? this.parseMapUrl(location)
+            : this.parseCoordinates(location);
+
+        if (coords) {
+            return coords;
+        }
+
+        const plusCode = location.match(/^([0-9a-z]{2,8}\+[0-9a-z]*)(?:[\s,]+(.+))?$/i);
+        if (plusCode) {
+            return this.resolvePlusCode(plusCode[1], plusCode[2]);
+        }
+
+        // A place picked from the suggestions needs no second lookup
+        const picked = inputId && this.pickedSuggestions[inputId];
+        if (picked && picked.label === location) {
+            return picked;
+        }
+
+        const results = await this.searchNominatim(location, 5);
+
+        if (results.length === 0) {
+            throw new Error(`No place found for "${location}"`);
+        }
+
+        // Matches within 25 km of an earlier one are the same place (e.g. a town and its boundary)
+        const places = [];
+        results.map(result => this.toGeocodePlace(result)).forEach(place => {
+            if (!places.some(p => this.calculateDistance(p.lat, p.lon, place.lat, place.lon) < 25)) {
+                places.push(place);
+            }
+        });
+
+        // "Paris" or "10115" can match in several countries, so let the user choose
+        return places.length === 1 ? places[0] : this.pickGeocodeResult(location, places);
+    }
+
+    parseCoordinates(text) {
+        // Returns { lat, lon } for coordinate input and null for anything to look up by name.
+        // Understands decimal degrees, DMS (48°51'24"N 2°21'08"E) and degrees-decimal-minutes
+        // (also without minute marks when both values have a letter: N 48° 51.400 E 002° 21.130),
+        // with N/S/E/W letters or lat/lon labels to give the order ("lon 2.35, lat 48.85").
+        // Throws when the input is clearly meant as coordinates but can't be read.
+        const input = text.trim();
+        const labelPattern = /(latitude|longitude|lat|lng|long|lon)(?![a-z])/gi;
+        const labels = [...input.matchAll(labelPattern)].map(match => match[1].toLowerCase().startsWith('lat') ? 'lat' : 'lon');
+        const bare = input.replace(labelPattern, ' ');
+
+        // Postal codes are a single number and place names have other letters
+        if (!/^[\d\s.,;:=()°º'′"″+\-NSEWnsew]+$/.test(bare) || (bare.match(/\d+/g) || []).length < 2) {
+            return null;
+        }
+
+        // Hemisphere letters go either before or after the numbers; the first character tells which.
+        // With a letter on both values, the number after the degrees is minutes even without a ' (geocaching style).
+        const hemisphere = '(?<hemisphere>[NSEW])';
+        const minuteMark = (bare.match(/[NSEW]/gi) || []).length === 2 ? '[\'′]?' : '[\'′]';
+        const angle = '(?<sign>[-+])?\\s*(?<degrees>\\d+(?:\\.\\d+)?)\\s*[°º]?' +
+            `(?:\\s*(?<minutes>\\d+(?:\\.\\d+)?)\\s*${minuteMark})?` +
+            '(?:\\s*(?<seconds>\\d+(?:\\.\\d+)?)\\s*(?:["″]|\'\'))?';
+        const componentPattern = /^[\s(]*[NSEW]/i.test(bare)
+            ? new RegExp(`${hemisphere}?\\s*${angle}`, 'gi')
+            : new RegExp(`${angle}(?:\\s*${hemisphere})?`, 'gi');
+
+        const components = [];
+        const unread = bare
+            .replace(componentPattern, (match, ...args) => {
+                components.push({ ...args[args.length - 1], text: match.trim() });
+                return ' ';
+            })
+            .replace(/[\s,;:=()]+/g, ' ')
+            .trim();
+
+        if (unread) {
+            throw new Error(`Could not understand "${unread}" in the coordinates "${input}"`);
+        }
+        if (components.length !== 2) {
+            throw new Error(`Expected a latitude and a longitude in "${input}" but found ${components.length} value${components.length === 1 ? '' : 's'}`);
+        }
+
+        const values = components.map(({ sign, degrees, minutes, seconds, hemisphere, text }) => {
+            if ((minutes && degrees.includes('.')) || (seconds && minutes && minutes.includes('.'))) {
+                throw new Error(`Only the last number of "${text}" can have decimals`);
+            }
+            if (parseFloat(minutes || 0) >= 60 || parseFloat(seconds || 0) >= 60) {
+                throw new Error(`Minutes and seconds must be below 60 in "${text}"`);
+            }
+
+            const magnitude = parseFloat(degrees) + parseFloat(minutes || 0) / 60 + parseFloat(seconds || 0) / 3600;
+            const letter = hemisphere ? hemisphere.toUpperCase() : null;
+            const negative = letter ? 'SW'.includes(letter) : sign === '-';
 
-        if (coordMatch) {
             return {
-                lat: parseFloat(coordMatch[1]),
-                lon: parseFloat(coordMatch[2])
+                value: negative ? -magnitude : magnitude,
+                axis: letter ? ('NS'.includes(letter) ? 'lat' : 'lon') : null
             };
+        });
+
+        let axes = values.map(v => v.axis);
+        if (labels.length > 0) {
+            if (labels.length !== 2 || labels[0] === labels[1]) {
+                throw new Error(`Label both values in "${input}", e.g. "lon 2.35, lat 48.85"`);
+            }
+            if (axes.some((axis, i) => axis && axis !== labels[i])) {
+                throw new Error(`The lat/lon labels in "${input}" contradict its N/S/E/W letters`);
+            }
+            axes = labels;
+        }
+        if (axes[0] && axes[0] === axes[1]) {
+            throw new Error(`Both values in "${input}" are ${axes[0] === 'lat' ? 'latitudes (N/S)' : 'longitudes (E/W)'}`);
+        }
+
+        // Without hints the order is latitude, longitude
+        const latFirst = axes[0] ? axes[0] === 'lat' : axes[1] !== 'lat';
+        const [lat, lon] = latFirst ? [values[0].value, values[1].value] : [values[1].value, values[0].value];
+
+        if (Math.abs(lat) > 90) {
+            const hint = !axes[0] && !axes[1] && Math.abs(lon) <= 90 ? '; if the longitude comes first, write "lon …, lat …"' : '';
+            throw new Error(`Latitude ${lat} in "${input}" is outside -90 to 90${hint}`);
+        }
+        if (Math.abs(lon) > 180) {
+            throw new Error(`Longitude ${lon} in "${input}" is outside -180 to 180`);
+        }
+
+        return { lat: lat, lon: lon };
+    }
+
+    parseMapUrl(text) {
+        // Coordinates from a link copied out of Google Maps, OpenStreetMap, Apple Maps or Bing, or a geo: URI
+        const candidates = [];
+        let url = null;
+
+        try {
+            url = new URL(text);
+        } catch (error) {
+            // Not a URL after all; only the patterns below can match
         }
 
-        // Use Nominatim for geocoding
-        const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(location)}`;
+        // A dropped pin in Google Maps beats the view centre
+        const pin = text.match(/!3d(-?[\d.]+)!4d(-?[\d.]+)/);
+        if (pin) candidates.push(`${pin[1]},${pin[2]}`);
+
+        if (/^geo:/i.test(text)) candidates.push(text.slice(4).split(/[;?]/)[0]);
+
+        if (url) {
+            const params = url.searchParams;
+            if (params.has('mlat') && params.has('mlon')) candidates.push(`${params.get('mlat')},${params.get('mlon')}`);
+            ['q', 'query', 'll', 'daddr', 'destination', 'center'].forEach(key => {
+                if (params.has(key)) candidates.push(params.get(key));
+            });
+            if (params.has('cp')) candidates.push(params.get('cp').replace('~', ','));
+
+            const osmView = url.hash.match(/map=[\d.]+\/(-?[\d.]+)\/(-?[\d.]+)/);
+            if (osmView) candidates.push(`${osmView[1]},${osmView[2]}`);
+
+            const googleView = url.pathname.match(/@(-?[\d.]+),(-?[\d.]+)/);
+            if (googleView) candidates.push(`${googleView[1]},${googleView[2]}`);
+        }
 
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'WeatherChaser/1.0'
+        for (const candidate of candidates) {
+            try {
+                const coords = this.parseCoordinates(candidate);
+                if (coords) return coords;
+            } catch (error) {
+                // Try the next place the link may keep its coordinates
             }
-        });
+        }
 
-        if (!response.ok) {
-            throw new Error('Geocoding failed');
+        if (url && /^(maps\.app\.goo\.gl|goo\.gl)$/.test(url.hostname)) {
+            throw new Error('Short map links can\'t be read here. Open the link and paste the full address from your browser\'s address bar.');
+        }
+        throw new Error(`Could not find coordinates in the ${url ? url.hostname : 'geo:'} link "${text}"`);
+    }
+
+    async resolvePlusCode(code, locality) {
+        // Full plus codes (8FVC9G8F+6X) decode on their own; short ones (9G8F+6X Zurich) are relative to a town
+        const upper = code.toUpperCase();
+        const separator = upper.indexOf('+');
+        const invalid = upper.replace('+', '').match(/[^023456789CFGHJMPQRVWX]/);
+
+        if (invalid) {
+            throw new Error(`"${code}" is not a plus code: "${invalid[0]}" is not one of its characters`);
+        }
+        if (separator % 2 === 1) {
+            throw new Error(`"${code}" is not a plus code: the "+" must follow 2, 4, 6 or 8 characters`);
+        }
+        if (separator === 8) {
+            return this.decodePlusCode(upper);
+        }
+        if (!locality) {
+            throw new Error(`"${code}" is a short plus code; add the town it belongs to, e.g. "${code} Zurich"`);
         }
 
-        const data = await response.json();
+        const results = await this.searchNominatim(locality, 1);
+        if (results.length === 0) {
+            throw new Error(`No place found for "${locality}", the town given with plus code "${code}"`);
+        }
+
+        // Borrow the town's leading digits, then move one cell over if that lands further than half a cell away
+        const reference = this.toGeocodePlace(results[0]);
+        const resolution = Math.pow(20, 2 - (8 - separator) / 2);
+        const decoded = this.decodePlusCode(this.encodePlusCodePrefix(reference.lat, reference.lon, 8 - separator) + upper);
+        const nearest = (value, target) => {
+            if (value - target > resolution / 2) return value - resolution;
+            if (target - value > resolution / 2) return value + resolution;
+            return value;
+        };
+
+        return {
+            lat: nearest(decoded.lat, reference.lat),
+            lon: nearest(decoded.lon, reference.lon)
+        };
+    }
+
+    decodePlusCode(code) {
+        // Open Location Code: five pairs of base-20 digits, then optional 4x5 grid refinements
+        const alphabet = '23456789CFGHJMPQRVWX';
+        const digits = code.replace('+', '').replace(/0+$/, '');
+        let lat = -90;
+        let lon = -180;
+        let latStep = 400;
+        let lonStep = 400;
+
+        for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+            latStep /= 20;
+            lonStep /= 20;
+            lat += alphabet.indexOf(digits[i]) * latStep;
+            lon += alphabet.indexOf(digits[i + 1]) * lonStep;
+        }
+
+        for (let i = 10; i < digits.length; i++) {
+            const digit = alphabet.indexOf(digits[i]);
+            latStep /= 5;
+            lonStep /= 4;
+            lat += Math.floor(digit / 4) * latStep;
+            lon += (digit % 4) * lonStep;
+        }
+
+        // The centre of the cell
+        return { lat: lat + latStep / 2, lon: lon + lonStep / 2 };
+    }
+
+    encodePlusCodePrefix(lat, lon, length) {
+        const alphabet = '23456789CFGHJMPQRVWX';
+        let latValue = Math.min(lat + 90, 179.999999);
+        let lonValue = ((lon + 180) % 360 + 360) % 360;
+        let step = 400;
+        let code = '';
+
+        for (let i = 0; i < length; i += 2) {
+            step /= 20;
+            const latDigit = Math.floor(latValue / step);
+            const lonDigit = Math.floor(lonValue / step);
+            code += alphabet[latDigit] + alphabet[lonDigit];
+            latValue -= latDigit * step;
+            lonValue -= lonDigit * step;
+        }
+
+        return code;
+    }
+
+    async searchNominatim(query, limit) {
+        // Search the preferred country first and fall back to the whole world
+        const url = 'https://nominatim.openstreetmap.org/search?format=json&addressdetails=1' +
+            `&limit=${limit}&q=${encodeURIComponent(query)}`;
+
+        if (this.countryBias) {
+            const results = await this.queueNominatim(`${url}&countrycodes=${this.countryBias}`);
+            if (results.length > 0) return results;
+        }
+
+        return this.queueNominatim(url);
+    }
+
+    async queueNominatim(url) {
+        // Every Nominatim call goes through here: answers are cached, and requests
+        // wait their turn so we stay within the 1 request/second usage policy
+        if (this.geocodeCache.has(url)) {
+            return this.geocodeCache.get(url);
+        }
+
+        try {
+            const [cached] = await this.dbGetMany('geocodes', [url]);
+            if (cached) {
+                this.geocodeCache.set(url, cached.results);
+                return cached.results;
+            }
+        } catch (error) {
+            console.warn('Geocoding cache unavailable:', error);
+        }
+
+        const request = this.nominatimQueue.then(async () => {
+            const waitTime = this.lastNominatimRequest + 1000 - Date.now();
+            if (waitTime > 0) await this.sleep(waitTime);
+            this.lastNominatimRequest = Date.now();
+
+            const response = await fetch(url, {
+                headers: {
+                    'User-Agent': 'WeatherChaser/1.0'
+                }
+            });
 
-        if (data.length === 0) {
-            throw new Error('Location not found');
+            if (!response.ok) {
+                throw new Error('Geocoding failed');
+            }
+
+            return response.json();
+        });
+
+        // A failed lookup must not stall the ones queued behind it
+        this.nominatimQueue = request.catch(() => {});
+
+        const results = await request;
+        this.geocodeCache.set(url, results);
+        this.dbPutMany('geocodes', [[url, { results: results, fetchedAt: new Date().toISOString() }]]).catch(error => {
+            console.warn('Could not cache geocoding result:', error);
+        });
+
+        return results;
+    }
+
+    async searchPhoton(query, limit) {
+        // Suggestions while typing come from Photon, which is built for search-as-you-type;
+        // Nominatim's usage policy forbids autocomplete. The preferred country is sorted first.
+        const url = `https://photon.komoot.io/api/?limit=${this.countryBias ? limit * 2 : limit}&q=${encodeURIComponent(query)}`;
+
+        if (!this.geocodeCache.has(url)) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Photon returned ${response.status}`);
+            }
+            this.geocodeCache.set(url, (await response.json()).features);
         }
 
+        const inCountry = (feature) => (feature.properties.countrycode || '').toLowerCase() === this.countryBias;
+        return [...this.geocodeCache.get(url)]
+            .sort((a, b) => inCountry(b) - inCountry(a))
+            .slice(0, limit)
+            .map(feature => this.toPhotonPlace(feature))
+            .filter(place => place.title);
+    }
+
+    toPhotonPlace(feature) {
+        const properties = feature.properties;
+        const [lon, lat] = feature.geometry.coordinates;
+        const title = properties.name || properties.street || properties.city;
+        const region = properties.state || properties.county;
+        const detail = [region, properties.country].filter(part => part && part !== title).join(', ');
+
+        return {
+            lat: lat,
+            lon: lon,
+            name: detail ? `${title}, ${detail}` : title,
+            title: title,
+            detail: detail,
+            label: detail ? `${title}, ${detail}` : title
+        };
+    }
+
+    toGeocodePlace(result) {
+        const address = result.address || {};
+        const title = result.name || result.display_name.split(',')[0];
+        const region = address.state || address.region || address.county;
+        const detail = [region, address.country].filter(part => part).join(', ');
+
         return {
-            lat: parseFloat(data[0].lat),
-            lon: parseFloat(data[0].lon),
-            name: data[0].display_name
+            lat: parseFloat(result.lat),
+            lon: parseFloat(result.lon),
+            name: result.display_name,
+            title: title,
+            detail: detail,
+            label: detail ? `${title}, ${detail}` : title
         };
     }
 
+    initAutocomplete(inputId, listId) {
+        const input = document.getElementById(inputId);
+        const list = document.getElementById(listId);
+        let timer = null;
+        const isCoordinates = (query) => {
+            try {
+                return this.parseCoordinates(query) !== null;
+            } catch (error) {
+                return true;
+            }
+        };
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            const query = input.value.trim();
+
+            // Coordinates, map links, plus codes and very short input get no suggestions
+            if (query.length < 3 || /^(https?:\/\/|geo:)/i.test(query) || query.includes('+') || isCoordinates(query)) {
+                list.classList.add('hidden');
+                return;
+            }
+
+            // Wait for a pause in typing so not every keystroke sends a request
+            timer = setTimeout(() => this.showAutocomplete(input, list, query), 400);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' || e.key === 'Enter') list.classList.add('hidden');
+        });
+
+        input.addEventListener('blur', () => {
+            setTimeout(() => list.classList.add('hidden'), 200);
+        });
+    }
+
+    async showAutocomplete(input, list, query) {
+        let places;
+
+        try {
+            places = await this.searchPhoton(query, 5);
+        } catch (error) {
+            console.warn('Autocomplete failed:', error);
+            return;
+        }
+
+        // The user may have typed on while the request was under way
+        if (input.value.trim() !== query || document.activeElement !== input) return;
+
+        if (places.length === 0) {
+            list.classList.add('hidden');
+            return;
+        }
+
+        list.innerHTML = places.map((place, index) => `
+            <div class="autocomplete-item" data-index="${index}">
+                <strong>${this.escapeHtml(place.title)}</strong>
+                <small>${this.escapeHtml(place.detail)}</small>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.autocomplete-item').forEach(item => {
+            // mousedown fires before the input's blur hides the list
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                const place = places[parseInt(item.dataset.index)];
+                input.value = place.label;
+                this.pickedSuggestions[input.id] = place;
+                list.classList.add('hidden');
+            });
+        });
+
+        list.classList.remove('hidden');
+    }
+
+    pickGeocodeResult(query, places) {
+        // Resolves with the chosen place, or null when the user cancels
+        const picker = document.getElementById('geocodePicker');
+        const list = document.getElementById('geocodePickerList');
+
+        // A second lookup while the picker is open cancels the first one
+        if (this.closeGeocodePicker) this.closeGeocodePicker(null);
+
+        document.getElementById('geocodePickerQuery').textContent = `Several places match "${query}":`;
+        list.innerHTML = places.map((place, index) => `
+            <button class="geocode-option" data-index="${index}">
+                <strong>${this.escapeHtml(place.title)}</strong>
+                <small>${this.escapeHtml(place.detail)}</small>
+            </button>
+        `).join('');
+        picker.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const close = (place) => {
+                this.closeGeocodePicker = null;
+                picker.classList.add('hidden');
+                list.innerHTML = '';
+                resolve(place);
+            };
+            this.closeGeocodePicker = close;
+
+            list.querySelectorAll('.geocode-option').forEach(option => {
+                option.addEventListener('click', () => close(places[parseInt(option.dataset.index)]));
+            });
+            document.getElementById('geocodePickerCancel').onclick = () => close(null);
+        });
+    }
+
+    async useDeviceLocation(button) {
+        // Fill the search box with where this device is, keeping the exact coordinates
+        button.disabled = true;
+
+        try {
+            const place = await this.locateDevice();
+            document.getElementById('location').value = place.label;
+            this.pickedSuggestions.location = place;
+        } catch (error) {
+            console.error('Geolocation error:', error);
+            alert(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async locateDevice() {
+        const position = await this.getDevicePosition();
+
+        this.devicePosition = await this.reverseGeocode(position.lat, position.lon);
+        this.updateDeviceStartOption();
+
+        return this.devicePosition;
+    }
+
+    async reverseGeocode(lat, lon) {
+        // A town name reads better than coordinates; rounding the query to ~100 m lets nearby points share the cache
+        let label = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+
+        try {
+            const result = await this.queueNominatim('https://nominatim.openstreetmap.org/reverse?format=json&addressdetails=1&zoom=10' +
+                `&lat=${lat.toFixed(3)}&lon=${lon.toFixed(3)}`);
+            if (result && result.display_name) {
+                label = this.toGeocodePlace(result).label;
+            }
+        } catch (error) {
+            console.warn('Reverse geocoding failed:', error);
+        }
+
+        return { lat: lat, lon: lon, label: label };
+    }
+
+    toggleMapPick(target) {
+        // While armed, a click on the map sets the search origin or adds a place
+        this.mapPickTarget = target;
+        document.getElementById('map').classList.toggle('map-picking', target !== null);
+        document.querySelectorAll('.map-pick-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.target === target);
+        });
+    }
+
+    async handleMapPick(e) {
+        const target = this.mapPickTarget;
+
+        // Clicks on markers and shapes open their popups instead
+        if (!target || e.originalEvent.target.classList.contains('leaflet-interactive')) return;
+
+        if (target === 'places' && this.manualPlaces.length >= 25) {
+            alert('Maximum 25 locations allowed');
+            return;
+        }
+
+        // The origin is picked once; places can be clicked in one after another
+        if (target === 'location') this.toggleMapPick(null);
+
+        const latlng = e.latlng.wrap();
+        const place = await this.reverseGeocode(latlng.lat, latlng.lng);
+
+        if (target === 'location') {
+            document.getElementById('location').value = place.label;
+            this.pickedSuggestions.location = place;
+        } else {
+            this.manualPlaces.push({ name: place.label, lat: place.lat, lon: place.lon });
+            this.updatePlacesList();
+        }
+
+        L.popup()
+            .setLatLng(latlng)
+            .setContent(`${target === 'location' ? 'Search origin' : 'Added'}: <strong>${this.escapeHtml(place.label)}</strong>`)
+            .openOn(this.map);
+    }
+
+    getDevicePosition() {
+        return new Promise((resolve, reject) => {
+            if (!navigator.geolocation) {
+                reject(new Error('Your browser cannot share its location'));
+                return;
+            }
+
+            const messages = {
+                1: 'Location access was denied. Allow it in your browser settings or type a place instead.',
+                2: 'Your position could not be determined. Try again or type a place instead.',
+                3: 'Finding your position took too long. Try again or type a place instead.'
+            };
+
+            navigator.geolocation.getCurrentPosition(
+                position => resolve({ lat: position.coords.latitude, lon: position.coords.longitude }),
+                error => reject(new Error(messages[error.code] || error.message)),
+                { timeout: 15000, maximumAge: 5 * 60 * 1000 }
+            );
+        });
+    }
+
     // Manual Places Functions
 
     async addPlace() {
@@ -287,8 +1024,9 @@ class WeatherChaser {
 
             this.showLoading(true);
 
-            // Geocode the location
-            const coords = await this.geocodeLocation(location);
+            // Geocode the location (null when the user cancels the place picker)
+            const coords = await this.geocodeLocation(location, 'placeInput');
+            if (!coords) return;
 
             // Add to places list
             this.manualPlaces.push({
@@ -307,7 +1045,7 @@ class WeatherChaser {
             document.getElementById('nearbySuggestions').classList.add('hidden');
 
         } catch (error) {
-            alert('Could not find location: ' + location);
+            alert('Could not add location: ' + error.message);
             console.error(error);
         } finally {
             this.showLoading(false);
@@ -363,7 +1101,7 @@ class WeatherChaser {
         placesList.innerHTML = this.manualPlaces.map((place, index) => `
             <div class="place-item">
                 <div class="place-info">
-                    <div class="place-name">${place.name}</div>
+                    <div class="place-name">${this.escapeHtml(place.name)}</div>
                     <div class="place-coords">${place.lat.toFixed(4)}, ${place.lon.toFixed(4)}</div>
                 </div>
                 <button class="remove-place-btn" onclick="app.removePlace(${index})">Remove</button>
@@ -517,26 +1255,38 @@ class WeatherChaser {
     }
 
     generateGridFromCenter(centerLat, centerLon, radiusKm, gridSize) {
-        const points = [];
-        const gridDim = Math.sqrt(gridSize);
+        // Only lattice points inside the radius are kept. A circle covers about π/4 of
+        // its bounding square, so try a few finer lattices and use the one whose
+        // point count comes closest to gridSize.
+        let points = [];
+
+        for (let gridDim = Math.round(Math.sqrt(gridSize)); gridDim <= Math.ceil(Math.sqrt(gridSize) * 1.5) + 1; gridDim++) {
+            const candidate = this.generateCircleLattice(centerLat, centerLon, radiusKm, gridDim);
+            if (points.length === 0 || Math.abs(candidate.length - gridSize) < Math.abs(points.length - gridSize)) {
+                points = candidate;
+            }
+        }
 
-        // Convert radius to degrees (rough approximation)
-        const latDegrees = radiusKm / 111;
-        const lonDegrees = radiusKm / (111 * Math.cos(centerLat * Math.PI / 180));
+        return points;
+    }
 
-        // Calculate step size
-        const latStep = (2 * latDegrees) / (gridDim - 1);
-        const lonStep = (2 * lonDegrees) / (gridDim - 1);
+    generateCircleLattice(centerLat, centerLon, radiusKm, gridDim) {
+        const points = [];
+        const stepKm = (2 * radiusKm) / (gridDim - 1);
+        const kmPerLonDegree = 111 * Math.cos(centerLat * Math.PI / 180);
 
         // Generate grid points
         for (let i = 0; i < gridDim; i++) {
             for (let j = 0; j < gridDim; j++) {
-                const lat = centerLat - latDegrees + (i * latStep);
-                const lon = centerLon - lonDegrees + (j * lonStep);
+                const northKm = -radiusKm + i * stepKm;
+                const eastKm = -radiusKm + j * stepKm;
+
+                // Small tolerance keeps the points lying exactly on the circle
+                if (Math.sqrt(northKm * northKm + eastKm * eastKm) > radiusKm * 1.001) continue;
 
                 points.push({
-                    lat: lat,
-                    lon: lon,
+                    lat: centerLat + northKm / 111,
+                    lon: centerLon + eastKm / kmPerLonDegree,
                     index: points.length
                 });
             }
@@ -582,549 +1332,3752 @@ class WeatherChaser {
         return points;
     }
 
-    pointInPolygon(point, polygon) {
-        const latlngs = polygon.getLatLngs()[0];
-        let inside = false;
+    async filterGridPoints(points) {
+        // Drop or move grid points we could not travel to: over water or outside the elevation range.
+        // Optionally move them onto a nearby named destination.
+        const waterFilter = document.getElementById('waterFilter').value; // 'keep', 'snap' or 'skip'
+        const destinationType = document.getElementById('destinationSnap').value; // 'off' or a key of getDestinationFilters()
+        const minElevation = parseFloat(document.getElementById('minElevation').value);
+        const maxElevation = parseFloat(document.getElementById('maxElevation').value);
+        let filtered = points;
+
+        if (waterFilter !== 'keep' && points.length > 0) {
+            await this.loadLandMask();
+
+            // Moved points stay within half a grid step of where they were
+            const snapKm = this.getGridSpacing(points) / 2;
+            filtered = filtered
+                .map(point => {
+                    if (this.isOnLand(point.lat, point.lon)) return point;
+                    return waterFilter === 'snap' ? this.snapToLand(point, snapKm) : null;
+                })
+                .filter(point => point !== null);
+        }
 
-        for (let i = 0, j = latlngs.length - 1; i < latlngs.length; j = i++) {
-            const xi = latlngs[i].lat, yi = latlngs[i].lng;
-            const xj = latlngs[j].lat, yj = latlngs[j].lng;
+        if (destinationType !== 'off' && filtered.length > 0) {
+            filtered = await this.snapToDestinations(filtered, destinationType);
+        }
 
-            const intersect = ((yi > point.lng) !== (yj > point.lng))
-                && (point.lat < (xj - xi) * (point.lng - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
+        const elevationRange = (!isNaN(minElevation) || !isNaN(maxElevation)) && filtered.length > 0;
+        const provider = this.getWeatherProvider();
+
+        if (elevationRange && !provider.elevationUrl) {
+            alert(`${provider.label} has no elevation data, so the elevation range is not applied`);
+        } else if (elevationRange) {
+            try {
+                const elevations = await this.fetchElevations(filtered);
+                filtered = filtered
+                    .map((point, i) => ({ ...point, elevation: elevations[i] }))
+                    .filter(point => {
+                        if (point.elevation === null || point.elevation === undefined) return true;
+                        if (!isNaN(minElevation) && point.elevation < minElevation) return false;
+                        if (!isNaN(maxElevation) && point.elevation > maxElevation) return false;
+                        return true;
+                    });
+            } catch (error) {
+                console.warn('Elevation lookup failed, keeping all points:', error);
+            }
         }
 
-        return inside;
+        // Keep indexes contiguous for the forecast requests
+        return filtered.map((point, index) => ({ ...point, index: index }));
     }
 
-    async fetchWeatherForGrid(gridPoints, days) {
-        // Process requests in batches to avoid rate limiting
-        const batchSize = 5;
-        const delayBetweenBatches = 1000; // 1 second
-        const results = [];
+    async refineGrid(coarse, days) {
+        // Whatever the request budget leaves after the coarse grid goes to extra points.
+        // Only points that went to the network count; forecast cache hits are free.
+        const provider = this.getWeatherProvider();
+        const budget = parseInt(document.getElementById('requestBudget').value) || 0;
+        const coarseRequests = Math.ceil(coarse.filter(p => !p.fromCache).length / provider.locationsPerRequest);
+        const maxPoints = (budget - coarseRequests) * provider.locationsPerRequest;
+
+        if (maxPoints <= 0) {
+            alert(`The request budget of ${budget} is used up by the coarse grid (${coarseRequests} requests), so the grid was not refined. Raise the budget to refine it.`);
+            return [];
+        }
+
+        // Subdivide the cells around the best quarter of the coarse points, best first
+        const scored = this.calculateScores(coarse);
+        const tops = scored.slice(0, Math.max(1, Math.ceil(scored.length / 4)));
+        const spacing = this.getGridSpacing(coarse);
+        const area = this.getSearchArea(coarse);
+        const coarseKeys = new Set(coarse.map(p => this.getPointKey(p)));
+        const seen = new Set(coarseKeys);
+        let candidates = [];
+
+        tops.forEach(top => {
+            const kmPerLonDegree = 111 * Math.cos(top.lat * Math.PI / 180);
+
+            [-0.5, 0, 0.5].forEach(north => {
+                [-0.5, 0, 0.5].forEach(east => {
+                    if (north === 0 && east === 0) return;
+
+                    const point = {
+                        lat: top.lat + north * spacing / 111,
+                        lon: top.lon + east * spacing / kmPerLonDegree,
+                        refined: true
+                    };
+                    const key = this.getPointKey(point);
+                    if (seen.has(key) || !area.contains(point.lat, point.lon)) return;
+
+                    seen.add(key);
+                    candidates.push(point);
+                });
+            });
+        });
 
-        for (let i = 0; i < gridPoints.length; i += batchSize) {
-            const batch = gridPoints.slice(i, i + batchSize);
-            const batchPromises = batch.map(point => this.fetchWeatherForPoint(point, days));
+        // Water, destination and elevation filters apply to refined points too
+        candidates = (await this.filterGridPoints(candidates))
+            .filter(point => !coarseKeys.has(this.getPointKey(point)));
+
+        // Refined points already in the forecast cache don't use up the budget
+        const { missing } = await this.readForecastCache(candidates, days);
+        const missingKeys = new Set(missing.map(point => this.getPointKey(point)));
+        let networkPoints = 0;
+
+        candidates = candidates
+            .filter(point => {
+                if (!missingKeys.has(this.getPointKey(point))) return true;
+                networkPoints++;
+                return networkPoints <= maxPoints;
+            })
+            .map((point, i) => ({ ...point, index: coarse.length + i }));
+
+        if (candidates.length === 0) return [];
+        return this.fetchWeatherForGrid(candidates, days);
+    }
 
-            const batchResults = await Promise.all(batchPromises);
-            results.push(...batchResults);
+    // Destination Functions
 
-            // Add delay between batches (except for the last batch)
-            if (i + batchSize < gridPoints.length) {
-                await this.sleep(delayBetweenBatches);
-            }
+    getDestinationFilters() {
+        // Overpass filters for each kind of destination a grid point can snap to
+        return {
+            towns: ['node["place"~"^(city|town|village)$"]["name"]'],
+            campsites: ['nwr["tourism"~"^(camp_site|caravan_site)$"]["name"]'],
+            viewpoints: ['nwr["tourism"="viewpoint"]["name"]']
+        };
+    }
 
-            // Update progress indicator if available
-            const progress = Math.min(100, Math.round((results.length / gridPoints.length) * 100));
-            console.log(`Weather data progress: ${progress}%`);
+    async snapToDestinations(points, type) {
+        // Points move onto the nearest named destination within half a grid step.
+        // Results are cached per point, so repeating a search skips Overpass.
+        const radiusKm = Math.max(1, this.getGridSpacing(points) / 2);
+        const cacheKeys = points.map(p => `${this.getPointKey(p)}|${type}|${Math.round(radiusKm)}`);
+        let destinations;
+
+        try {
+            destinations = await this.dbGetMany('destinations', cacheKeys);
+        } catch (error) {
+            console.warn('Destination cache unavailable:', error);
+            destinations = points.map(() => undefined);
         }
 
-        return results;
-    }
+        const missing = points.map((_, i) => i).filter(i => !destinations[i]);
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+        if (missing.length > 0) {
+            this.updateLoadingProgress(points.length - missing.length, points.length, 'Finding destinations');
 
-    async fetchWeatherForPoint(point, days, retryCount = 0) {
-        // Open-Meteo API with enhanced weather data
-        const url = `https://api.open-meteo.com/v1/forecast?` +
-            `latitude=${point.lat}&longitude=${point.lon}` +
-            `&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,sunshine_duration,windspeed_10m_max` +
-            `&timezone=auto&forecast_days=${days}`;
+            try {
+                const candidates = await this.fetchDestinations(missing.map(i => points[i]), type, radiusKm);
+                const fresh = [];
 
-        try {
-            const response = await fetch(url);
+                missing.forEach(i => {
+                    const point = points[i];
+                    let nearest = null;
+                    let nearestDistance = radiusKm;
 
-            if (response.status === 429 && retryCount < 3) {
-                // Rate limited - wait and retry with exponential backoff
-                const waitTime = Math.pow(2, retryCount) * 1000; // 1s, 2s, 4s
-                console.log(`Rate limited for point ${point.index}, retrying in ${waitTime}ms...`);
-                await this.sleep(waitTime);
-                return this.fetchWeatherForPoint(point, days, retryCount + 1);
-            }
+                    candidates.forEach(candidate => {
+                        const distance = this.calculateDistance(point.lat, point.lon, candidate.lat, candidate.lon);
+                        if (distance <= nearestDistance) {
+                            nearest = candidate;
+                            nearestDistance = distance;
+                        }
+                    });
 
-            if (!response.ok) {
-                throw new Error(`Weather API error for point ${point.index}: ${response.status}`);
+                    // Remember empty areas too, so they are not looked up again
+                    destinations[i] = nearest || { none: true };
+                    fresh.push([cacheKeys[i], destinations[i]]);
+                });
+
+                await this.dbPutMany('destinations', fresh).catch(error => {
+                    console.warn('Could not cache destinations:', error);
+                });
+            } catch (error) {
+                console.warn('Destination lookup failed, keeping grid coordinates:', error);
             }
+        }
 
-            const data = await response.json();
+        // Two points close to the same destination would fetch the same forecast, so the second keeps its coordinates
+        const used = new Set();
 
+        return points.map((point, i) => {
+            const destination = destinations[i];
+            if (!destination || destination.none || used.has(destination.id)) return point;
+
+            used.add(destination.id);
             return {
-                lat: point.lat,
-                lon: point.lon,
-                index: point.index,
-                weather: data.daily
-            };
-        } catch (error) {
-            console.error(`Error fetching weather for point ${point.index}:`, error);
-            return {
-                lat: point.lat,
-                lon: point.lon,
-                index: point.index,
-                weather: null
+                ...point,
+                lat: destination.lat,
+                lon: destination.lon,
+                name: destination.name,
+                destinationType: destination.kind
             };
-        }
+        });
     }
 
-    calculateScores(weatherData) {
-        const results = [];
+    async fetchDestinations(points, type, radiusKm) {
+        const allFilters = this.getDestinationFilters();
+        const filters = type === 'any' ? Object.values(allFilters).flat() : allFilters[type];
+        const radius = Math.round(radiusKm * 1000);
 
-        for (const point of weatherData) {
-            if (!point.weather) continue;
+        // One union query for all points; POST because the query grows with the grid
+        const statements = points.flatMap(p =>
+            filters.map(filter => `${filter}(around:${radius},${p.lat.toFixed(4)},${p.lon.toFixed(4)});`)
+        );
+        const query = `[out:json][timeout:60];(${statements.join('')});out center tags;`;
 
-            const weather = point.weather;
-            const numDays = weather.time.length;
+        const response = await fetch('https://overpass-api.de/api/interpreter', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `data=${encodeURIComponent(query)}`
+        });
+        if (!response.ok) {
+            throw new Error(`Overpass returned ${response.status}`);
+        }
 
-            // Calculate averages
-            const avgTempMax = this.average(weather.temperature_2m_max);
-            const avgTempMin = this.average(weather.temperature_2m_min);
-            const avgTemp = (avgTempMax + avgTempMin) / 2;
+        const data = await response.json();
 
-            const totalRain = this.sum(weather.precipitation_sum);
-            const avgRainPerDay = totalRain / numDays;
-            const avgRainChance = this.average(weather.precipitation_probability_max);
-
-            const totalSunHours = this.sum(weather.sunshine_duration) / 3600; // Convert seconds to hours
-            const avgSunHours = totalSunHours / numDays;
-
-            const avgWind = this.average(weather.windspeed_10m_max);
-
-            // Calculate score with weights:
-            // Rain amount: 25% (less rain is better)
-            // Rain probability: 25% (less chance is better)
-            // Sun: 30%
-            // Temperature: 15% (normalized to 0-100, optimum around 20-25°C)
-            // Wind: 5% (less wind is better)
-
-            const rainAmountScore = Math.max(0, 100 - (avgRainPerDay * 10)); // 10mm = 0 score
-            const rainChanceScore = Math.max(0, 100 - avgRainChance);
-            const sunScore = Math.min(100, (avgSunHours / 12) * 100); // 12 hours = perfect
-            const tempScore = this.calculateTempScore(avgTemp);
-            const windScore = Math.max(0, 100 - (avgWind * 2)); // 50 km/h = 0 score
-
-            const totalScore = (
-                rainAmountScore * 0.25 +
-                rainChanceScore * 0.25 +
-                sunScore * 0.30 +
-                tempScore * 0.15 +
-                windScore * 0.05
-            );
+        // Campsites and viewpoints can be areas; those come with a center instead of lat/lon
+        return data.elements
+            .filter(element => element.tags && element.tags.name && (element.lat !== undefined || element.center))
+            .map(element => ({
+                id: `${element.type}/${element.id}`,
+                name: element.tags.name,
+                lat: element.lat !== undefined ? element.lat : element.center.lat,
+                lon: element.lon !== undefined ? element.lon : element.center.lon,
+                kind: this.getDestinationKind(element.tags)
+            }));
+    }
 
-            results.push({
-                lat: point.lat,
-                lon: point.lon,
-                score: Math.round(totalScore * 10) / 10,
-                avgTemp: Math.round(avgTemp * 10) / 10,
-                sunHours: Math.round(avgSunHours * 10) / 10,
-                rainAmount: Math.round(totalRain * 10) / 10,
-                rainChance: Math.round(avgRainChance),
-                windSpeed: Math.round(avgWind * 10) / 10,
-                rawData: weather
-            });
-        }
+    getDestinationKind(tags) {
+        if (tags.tourism === 'viewpoint') return 'viewpoint';
+        if (tags.tourism) return 'campsite';
+        return tags.place || 'place';
+    }
 
-        // Sort by score (highest first)
-        results.sort((a, b) => b.score - a.score);
+    formatPlaceName(point) {
+        // Grid points that snapped to a destination get its name and an icon for its kind.
+        // Names come from OpenStreetMap, so the result is escaped for use in markup.
+        if (!point.name) return null;
 
-        // Add rank
-        results.forEach((item, index) => {
-            item.rank = index + 1;
-        });
+        const icons = { campsite: '⛺', viewpoint: '🔭', city: '🏙️', town: '🏘️', village: '🏡' };
+        const icon = icons[point.destinationType];
+        const name = this.escapeHtml(point.name);
+        return icon ? `${icon} ${name}` : name;
+    }
 
-        return results;
+    getGridSpacing(points) {
+        // Distance from the first point to its nearest neighbour
+        if (points.length < 2) return 10;
+
+        const first = points[0];
+        return Math.min(...points.slice(1).map(p => this.calculateDistance(first.lat, first.lon, p.lat, p.lon)));
     }
 
-    calculateTempScore(temp) {
-        // Optimal temperature range: 20-25°C
-        const optimal = 22.5;
-        const diff = Math.abs(temp - optimal);
-
-        if (diff <= 2.5) return 100;
-        if (diff <= 5) return 90;
-        if (diff <= 10) return 70;
-        if (diff <= 15) return 50;
-        if (diff <= 20) return 30;
-        return 10;
+    loadLandMask() {
+        // The land polygons are about 0.5 MB, so they are only loaded once a water filter is used
+        if (!this.landMaskPromise) {
+            const loaded = typeof EARTH_LANDS !== 'undefined'
+                ? Promise.resolve()
+                : new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = 'vendor/geo-maps/earth-lands-10km.js';
+                    script.onload = resolve;
+                    script.onerror = () => reject(new Error('Could not load the land mask'));
+                    document.head.appendChild(script);
+                });
+
+            this.landMaskPromise = loaded
+                .then(() => {
+                    // Bounding boxes let most polygons be skipped without a full ring test
+                    this.landMask = EARTH_LANDS.geometries
+                        .flatMap(geometry => geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates])
+                        .map(rings => {
+                            const lons = rings[0].map(c => c[0]);
+                            const lats = rings[0].map(c => c[1]);
+                            return {
+                                bbox: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)],
+                                rings: rings
+                            };
+                        });
+                })
+                .catch(error => {
+                    this.landMaskPromise = null;
+                    throw error;
+                });
+        }
+
+        return this.landMaskPromise;
     }
 
-    average(arr) {
-        const validValues = arr.filter(v => v !== null && v !== undefined);
-        return validValues.length > 0
-            ? validValues.reduce((a, b) => a + b, 0) / validValues.length
-            : 0;
+    isOnLand(lat, lon) {
+        // Inside an outer ring and not inside one of its holes (lakes)
+        return this.landMask.some(polygon => {
+            const [west, south, east, north] = polygon.bbox;
+            if (lon < west || lon > east || lat < south || lat > north) return false;
+
+            return this.pointInRing(lat, lon, polygon.rings[0]) &&
+                !polygon.rings.slice(1).some(hole => this.pointInRing(lat, lon, hole));
+        });
     }
 
-    sum(arr) {
-        const validValues = arr.filter(v => v !== null && v !== undefined);
-        return validValues.reduce((a, b) => a + b, 0);
+    pointInRing(lat, lon, ring) {
+        // Ray casting over GeoJSON [lon, lat] coordinates
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+
+            const intersect = ((yi > lat) !== (yj > lat)) &&
+                (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+            if (intersect) inside = !inside;
+        }
+
+        return inside;
     }
 
-    displayResults() {
-        this.displayOnMap();
-        this.displayInTable();
+    snapToLand(point, maxKm) {
+        // Try eight directions at growing distances and take the first spot on land
+        const kmPerLonDegree = 111 * Math.cos(point.lat * Math.PI / 180);
 
-        // Show results section
-        document.getElementById('resultsSection').classList.remove('hidden');
+        for (const fraction of [0.25, 0.5, 0.75, 1]) {
+            for (let k = 0; k < 8; k++) {
+                const angle = k * Math.PI / 4;
+                const lat = point.lat + Math.sin(angle) * maxKm * fraction / 111;
+                const lon = point.lon + Math.cos(angle) * maxKm * fraction / kmPerLonDegree;
 
-        // Show route builder section if we have enough data
-        const routeSection = document.getElementById('routeBuilderSection');
-        if (routeSection && this.weatherData.length >= 2) {
-            routeSection.classList.remove('hidden');
-            // Populate start location dropdown with grid points
-            this.populateStartLocationDropdown();
+                if (this.isOnLand(lat, lon)) {
+                    return { ...point, lat: lat, lon: lon };
+                }
+            }
         }
 
-        // Scroll to results
-        document.getElementById('resultsSection').scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-        });
+        return null;
     }
 
-    populateStartLocationDropdown() {
-        const dropdown = document.getElementById('startLocation');
+    async fetchElevations(points) {
+        // Open-Meteo's elevation API (90 m DEM) takes up to 100 coordinates per request
+        const { elevationUrl } = this.getWeatherProvider();
+        const elevations = [];
 
-        // Clear existing options except the first (default) one
-        dropdown.innerHTML = '<option value="">Start from best weather spot</option>';
+        for (let i = 0; i < points.length; i += 100) {
+            const chunk = points.slice(i, i + 100);
+            const url = `${elevationUrl}?` +
+                `latitude=${chunk.map(p => p.lat.toFixed(4)).join(',')}` +
+                `&longitude=${chunk.map(p => p.lon.toFixed(4)).join(',')}`;
 
-        // Add an option for each weather data point
-        this.weatherData.forEach((point, index) => {
-            const option = document.createElement('option');
-            option.value = index;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Elevation API returned ${response.status}`);
+            }
 
-            // Create a descriptive label with rank, location, and score
-            const locationLabel = point.location || `${point.lat.toFixed(2)}, ${point.lon.toFixed(2)}`;
-            option.textContent = `#${point.rank} - ${locationLabel} (Score: ${point.score})`;
+            const data = await response.json();
+            elevations.push(...data.elevation);
+        }
 
-            dropdown.appendChild(option);
-        });
+        return elevations;
     }
 
-    displayOnMap() {
-        // Clear existing markers
-        this.markers.forEach(marker => this.map.removeLayer(marker));
-        this.markers = [];
-
-        if (this.weatherData.length === 0) return;
+    pointInPolygon(point, polygon) {
+        const latlngs = polygon.getLatLngs()[0];
+        let inside = false;
 
-        // Add markers for all points
-        this.weatherData.forEach((point, index) => {
-            const color = this.getColorForScore(point.score);
+        for (let i = 0, j = latlngs.length - 1; i < latlngs.length; j = i++) {
+            const xi = latlngs[i].lat, yi = latlngs[i].lng;
+            const xj = latlngs[j].lat, yj = latlngs[j].lng;
 
-            const marker = L.circleMarker([point.lat, point.lon], {
-                radius: 8,
-                fillColor: color,
-                color: '#fff',
-                weight: 2,
-                opacity: 1,
-                fillOpacity: 0.8
-            }).addTo(this.map);
+            const intersect = ((yi > point.lng) !== (yj > point.lng))
+                && (point.lat < (xj - xi) * (point.lng - yi) / (yj - yi) + xi);
+            if (intersect) inside = !inside;
+        }
 
-            // Create popup
-            const popupContent = `
-                <div class="weather-popup">
-                    <h3>Rank #${point.rank}</h3>
-                    <p><strong>Score:</strong> ${point.score}</p>
-                    <p><strong>Avg Temp:</strong> ${point.avgTemp}°C</p>
-                    <p><strong>Sun Hours:</strong> ${point.sunHours}h/day</p>
-                    <p><strong>Total Rain:</strong> ${point.rainAmount}mm</p>
-                    <p><strong>Rain Chance:</strong> ${point.rainChance}%</p>
-                    <p><strong>Wind:</strong> ${point.windSpeed} km/h</p>
-                    <p><small>Lat: ${point.lat.toFixed(4)}, Lon: ${point.lon.toFixed(4)}</small></p>
-                </div>
-            `;
+        return inside;
+    }
 
-            marker.bindPopup(popupContent);
+    async fetchWeatherForGrid(gridPoints, days) {
+        // Points fetched recently (same rounded location, variables and model run) come from IndexedDB
+        const { results, missing } = await this.readForecastCache(gridPoints, days);
 
-            marker.on('mouseover', function() {
-                this.setStyle({ radius: 12, weight: 3 });
-            });
+        const fetched = await this.fetchWeatherFromApi(missing, days, results.length, gridPoints.length);
+        await this.writeForecastCache(fetched, days);
 
-            marker.on('mouseout', function() {
-                this.setStyle({ radius: 8, weight: 2 });
-            });
+        // Carry over what the grid knows about each point (place names, elevation)
+        const gridByIndex = new Map(gridPoints.map(point => [point.index, point]));
+        return [...results, ...fetched]
+            .sort((a, b) => a.index - b.index)
+            .map(result => ({ ...gridByIndex.get(result.index), ...result }));
+    }
 
-            this.markers.push(marker);
-        });
+    async fetchWeatherFromApi(gridPoints, days, alreadyDone = 0, total = gridPoints.length) {
+        // Each provider takes a fixed number of locations per request, so the grid goes out in chunks of that size.
+        // Concurrency grows while requests succeed and halves whenever the API answers 429.
+        const { locationsPerRequest } = this.getWeatherProvider();
+        const maxConcurrency = 4;
+        const maxRetries = 4;
 
-        // Fit map to show all markers
-        if (this.markers.length > 0) {
-            const group = L.featureGroup(this.markers);
-            this.map.fitBounds(group.getBounds().pad(0.1));
+        const queue = [];
+        for (let i = 0; i < gridPoints.length; i += locationsPerRequest) {
+            queue.push({ points: gridPoints.slice(i, i + locationsPerRequest), retries: 0 });
         }
-    }
 
-    displayInTable() {
-        const tbody = document.getElementById('resultsBody');
-        tbody.innerHTML = '';
+        const results = [];
+        let concurrency = 2;
+        let active = 0;
+        let backoffUntil = 0;
 
-        this.weatherData.forEach((point, index) => {
-            // Main data row
-            const row = document.createElement('tr');
-            row.classList.add('data-row');
-            row.dataset.index = index;
+        this.updateLoadingProgress(alreadyDone, total, 'Fetching forecasts');
 
-            // Calculate bar widths for rain visualization
-            const maxRain = 50; // mm - max for visualization
-            const rainAmountBarWidth = Math.min((point.rainAmount / maxRain) * 100, 100);
-            const rainChanceBarWidth = Math.min(point.rainChance, 100);
-
-            row.innerHTML = `
-                <td><span class="expand-icon">▶</span></td>
-                <td>${point.rank}</td>
-                <td><span class="score-badge ${this.getScoreClass(point.score)}">${point.score}</span></td>
-                <td>${point.lat.toFixed(4)}, ${point.lon.toFixed(4)}</td>
-                <td>${point.avgTemp}°C</td>
-                <td>${point.sunHours}h</td>
-                <td>
-                    <div class="table-rain-cell">
-                        <span class="rain-value">${point.rainAmount}mm</span>
-                        <div class="rain-bar-container">
-                            <div class="rain-bar" style="width: ${rainAmountBarWidth}%"></div>
-                        </div>
-                    </div>
-                </td>
-                <td>
-                    <div class="table-rain-cell">
-                        <span class="rain-value">${point.rainChance}%</span>
-                        <div class="rain-bar-container">
-                            <div class="rain-bar" style="width: ${rainChanceBarWidth}%"></div>
-                        </div>
-                    </div>
-                </td>
-                <td>${point.windSpeed} km/h</td>
-            `;
+        const runChunk = async (chunk) => {
+            const waitTime = backoffUntil - Date.now();
+            if (waitTime > 0) await this.sleep(waitTime);
 
-            // Click to expand
-            row.querySelector('.expand-icon').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleDetailRow(index);
-            });
+            const { status, retryAfter, points } = await this.fetchWeatherForPoints(chunk.points, days);
 
-            // Click row to show on map
-            row.addEventListener('click', () => {
-                this.highlightMarker(index);
-            });
+            if (status === 429 && chunk.retries < maxRetries) {
+                // Back off and retry this chunk with fewer requests in flight
+                concurrency = Math.max(1, Math.floor(concurrency / 2));
+                const delay = retryAfter ? retryAfter * 1000 : Math.pow(2, chunk.retries) * 1000;
+                backoffUntil = Math.max(backoffUntil, Date.now() + delay);
+                console.warn(`Rate limited, retrying ${chunk.points.length} points in ${delay}ms (concurrency ${concurrency})`);
 
-            tbody.appendChild(row);
+                chunk.retries++;
+                queue.unshift(chunk);
+                return;
+            }
 
-            // Detail row (initially hidden)
-            const detailRow = document.createElement('tr');
-            detailRow.classList.add('detail-row');
-            detailRow.style.display = 'none';
-            detailRow.dataset.index = index;
+            if (status === 200) {
+                concurrency = Math.min(maxConcurrency, concurrency + 1);
+            }
 
-            const detailContent = this.generateDetailContent(point);
-            detailRow.innerHTML = `<td colspan="9">${detailContent}</td>`;
+            results.push(...points);
+            this.updateLoadingProgress(alreadyDone + results.length, total, 'Fetching forecasts');
+        };
 
-            tbody.appendChild(detailRow);
+        await new Promise(resolve => {
+            const pump = () => {
+                if (queue.length === 0 && active === 0) {
+                    resolve();
+                    return;
+                }
+
+                while (active < concurrency && queue.length > 0) {
+                    const chunk = queue.shift();
+                    active++;
+                    runChunk(chunk).finally(() => {
+                        active--;
+                        pump();
+                    });
+                }
+            };
+            pump();
         });
+
+        return results;
     }
 
-    generateDetailContent(point) {
-        const weather = point.rawData;
-        let html = '<div class="detail-content"><div class="day-breakdown">';
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
 
-        for (let i = 0; i < weather.time.length; i++) {
-            const date = new Date(weather.time[i]);
-            const dayName = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    async fetchWeatherForPoints(points, days) {
+        const provider = this.getWeatherProvider();
 
-            const tempMax = weather.temperature_2m_max[i];
-            const tempMin = weather.temperature_2m_min[i];
-            const avgTemp = (tempMax + tempMin) / 2;
-            const rain = weather.precipitation_sum[i] || 0;
-            const rainChance = weather.precipitation_probability_max[i] || 0;
-            const sunHours = (weather.sunshine_duration[i] / 3600);
-            const wind = weather.windspeed_10m_max[i];
+        const withoutWeather = () => points.map(point => ({
+            lat: point.lat,
+            lon: point.lon,
+            index: point.index,
+            weather: null
+        }));
 
-            // Calculate daily score
-            const dailyScore = this.calculateDailyScore(rain, rainChance, sunHours, avgTemp, wind);
+        try {
+            const { status, retryAfter, locations, cachedAt } = await provider.fetchLocations(points, days);
 
-            // Get weather emoji
-            const weatherEmoji = this.getWeatherEmoji(rain, rainChance, sunHours, tempMax, tempMin);
+            if (status === 429) {
+                return { status: 429, retryAfter: retryAfter, points: withoutWeather() };
+            }
 
-            // Create precipitation bar
-            const maxRain = 50; // mm - max for visualization
-            const rainBarWidth = Math.min((rain / maxRain) * 100, 100);
+            return {
+                status: 200,
+                points: points.map((point, i) => {
+                    const weather = locations[i] || null;
 
-            html += `
-                <div class="day-card">
-                    <div class="day-header">
-                        <h4>${dayName}</h4>
-                        <div class="day-score">
-                            <span class="weather-emoji">${weatherEmoji}</span>
-                            <span class="score-badge ${this.getScoreClass(dailyScore)}">${dailyScore}</span>
-                        </div>
-                    </div>
-                    <div class="weather-details">
-                        <p><span>🌡️ Temp:</span> <strong>${tempMin}°C - ${tempMax}°C</strong></p>
-                        <p><span>☀️ Sun:</span> <strong>${sunHours.toFixed(1)}h</strong></p>
-                        <div class="rain-detail">
-                            <p><span>🌧️ Rain:</span> <strong>${rain}mm (${rainChance}%)</strong></p>
-                            <div class="rain-bar-container">
-                                <div class="rain-bar" style="width: ${rainBarWidth}%"></div>
-                            </div>
-                        </div>
-                        <p><span>💨 Wind:</span> <strong>${wind} km/h</strong></p>
-                    </div>
-                </div>
-            `;
+                    // Set by the service worker when it answers from its offline cache
+                    if (weather && cachedAt) {
+                        weather.cachedAt = cachedAt;
+                    }
+
+                    return {
+                        lat: point.lat,
+                        lon: point.lon,
+                        index: point.index,
+                        weather: weather
+                    };
+                })
+            };
+        } catch (error) {
+            console.error(`Error fetching weather for ${points.length} points:`, error);
+            return { status: 0, points: withoutWeather() };
         }
+    }
 
-        html += '</div></div>';
-        return html;
+    getRetryAfter(response) {
+        const seconds = parseInt(response.headers.get('Retry-After'));
+        return isNaN(seconds) ? null : seconds;
     }
 
-    calculateDailyScore(rain, rainChance, sunHours, avgTemp, wind) {
-        // Same weights as overall score
-        const rainAmountScore = Math.max(0, 100 - (rain * 10));
-        const rainChanceScore = Math.max(0, 100 - rainChance);
-        const sunScore = Math.min(100, (sunHours / 12) * 100);
-        const tempScore = this.calculateTempScore(avgTemp);
-        const windScore = Math.max(0, 100 - (wind * 2));
-
-        const totalScore = (
-            rainAmountScore * 0.25 +
-            rainChanceScore * 0.25 +
-            sunScore * 0.30 +
-            tempScore * 0.15 +
-            windScore * 0.05
-        );
+    // Weather Provider Functions
+    //
+    // Providers return forecasts in one internal schema, so scoring never reads a source's own field names.
+    // Daily arrays, one entry per local date:
+    //   time, tempMax, tempMin, precipitation, precipitationProbability, sunshineDuration (s),
+    //   windMax, gustMax, uvMax, snowfall, humidity, cloudCover, feelsLikeMax
+    // Optional `hourly` arrays, 24 entries per date in local time:
+    //   time, temp, precipitation, precipitationProbability, cloudCover, sunshineDuration (s),
+    //   wind, gusts, uv, snowfall, humidity, feelsLike
+    // Optional `members`: the individual model runs or ensemble members (same schema) when the
+    // forecast combines several; the top-level arrays then hold their mean.
+    // Variables a source doesn't offer are left out and treated as missing.
+
+    getWeatherProviders() {
+        return {
+            'open-meteo': {
+                label: 'Open-Meteo',
+                description: 'Free forecast API, up to 16 days',
+                locationsPerRequest: 25,
+                updateHours: 3,
+                supportsModels: true,
+                elevationUrl: 'https://api.open-meteo.com/v1/elevation',
+                fetchLocations: (points, days) => this.fetchOpenMeteo({
+                    forecast: 'https://api.open-meteo.com/v1/forecast',
+                    ensemble: 'https://ensemble-api.open-meteo.com/v1/ensemble'
+                }, points, days)
+            },
+            'open-meteo-custom': {
+                label: 'Open-Meteo (self-hosted)',
+                description: 'Your own Open-Meteo instance at the server URL below',
+                locationsPerRequest: 25,
+                updateHours: 3,
+                supportsModels: true,
+                elevationUrl: `${this.weatherBaseUrl}/v1/elevation`,
+                fetchLocations: (points, days) => this.fetchOpenMeteo({
+                    forecast: `${this.weatherBaseUrl}/v1/forecast`,
+                    ensemble: `${this.weatherBaseUrl}/v1/ensemble`
+                }, points, days)
+            },
+            'met-norway': {
+                label: 'MET Norway',
+                description: 'Up to 9 days; sunshine is estimated from cloud cover, no snowfall or feels-like',
+                locationsPerRequest: 1,
+                updateHours: 1,
+                // MET Norway has no elevation service of its own
+                elevationUrl: 'https://api.open-meteo.com/v1/elevation',
+                fetchLocations: (points, days) => {
+                    if (points.length > 1) {
+                        throw new Error(`MET Norway takes one location per request, got ${points.length}`);
+                    }
+                    return this.fetchMetNorway(points[0], days);
+                }
+            },
+            'mock': {
+                label: 'Mock data (offline demo)',
+                description: 'Deterministic forecasts from bundled fixtures, no network needed',
+                locationsPerRequest: 1000,
+                updateHours: 3,
+                cacheable: false,
+                elevationUrl: null,
+                fetchLocations: (points, days) => this.fetchMockForecast(points, days)
+            }
+        };
+    }
 
-        return Math.round(totalScore);
+    getWeatherProvider() {
+        const providers = this.getWeatherProviders();
+        return providers[this.weatherProviderId] || providers['open-meteo'];
     }
 
-    getWeatherEmoji(rain, rainChance, sunHours, tempMax, tempMin) {
-        // Snow (cold + precipitation)
-        if (tempMax <= 2 && (rain > 0 || rainChance > 30)) {
-            return '❄️';
+    selectWeatherProvider(providerId) {
+        if (!this.getWeatherProviders()[providerId]) return;
+
+        this.weatherProviderId = providerId;
+        localStorage.setItem('weatherChaser.weatherProvider', providerId);
+        this.renderWeatherProviderSelect();
+        this.renderCacheInspector();
+    }
+
+    getWeatherModels() {
+        // Open-Meteo model choices; `models` is the API parameter value
+        return {
+            best_match: { label: 'Best match (default)', models: null },
+            ecmwf_ifs025: { label: 'ECMWF IFS', models: 'ecmwf_ifs025' },
+            icon_seamless: { label: 'DWD ICON', models: 'icon_seamless' },
+            gfs_seamless: { label: 'NOAA GFS', models: 'gfs_seamless' },
+            compare: { label: 'Compare ECMWF, ICON & GFS', models: 'ecmwf_ifs025,icon_seamless,gfs_seamless' },
+            ensemble: { label: 'ECMWF ensemble (51 members)', models: 'ecmwf_ifs025', ensemble: true }
+        };
+    }
+
+    selectWeatherModel(modelId) {
+        if (!this.getWeatherModels()[modelId]) return;
+
+        this.weatherModel = modelId;
+        localStorage.setItem('weatherChaser.weatherModel', modelId);
+        this.renderWeatherProviderSelect();
+    }
+
+    setWeatherBaseUrl(url) {
+        // Strip trailing slashes so paths can be appended directly
+        this.weatherBaseUrl = (url.trim() || 'http://localhost:8080').replace(/\/+$/, '');
+        localStorage.setItem('weatherChaser.weatherBaseUrl', this.weatherBaseUrl);
+    }
+
+    renderWeatherProviderSelect() {
+        const select = document.getElementById('weatherProvider');
+        const providers = this.getWeatherProviders();
+
+        select.innerHTML = Object.entries(providers)
+            .map(([id, provider]) => `<option value="${id}">${provider.label}</option>`)
+            .join('');
+        select.value = this.weatherProviderId;
+
+        const modelSelect = document.getElementById('weatherModel');
+        modelSelect.innerHTML = Object.entries(this.getWeatherModels())
+            .map(([id, model]) => `<option value="${id}">${model.label}</option>`)
+            .join('');
+        modelSelect.value = this.weatherModel;
+        modelSelect.classList.toggle('hidden', !this.getWeatherProvider().supportsModels);
+
+        // The ensemble API is fetched without hourly values, so the activity window can't apply
+        const model = this.getWeatherModels()[this.weatherModel];
+        const dailyOnly = Boolean(this.getWeatherProvider().supportsModels && model && model.ensemble);
+        const hourlyCheckbox = document.getElementById('hourlyMode');
+        hourlyCheckbox.disabled = dailyOnly;
+        if (dailyOnly && hourlyCheckbox.checked) {
+            hourlyCheckbox.checked = false;
+            hourlyCheckbox.dispatchEvent(new Event('change'));
         }
 
-        // Heavy rain
-        if (rain > 10 || rainChance > 70) {
-            return '🌧️';
+        document.getElementById('weatherProviderNote').textContent = this.getWeatherProvider().description +
+            (dailyOnly ? '. The ensemble has daily values only, so hourly forecasts and the activity window are off' : '');
+        document.getElementById('weatherServer').classList.toggle('hidden', this.weatherProviderId !== 'open-meteo-custom');
+    }
+
+    getOpenMeteoFields() {
+        // Internal schema key → Open-Meteo variable
+        return {
+            daily: {
+                tempMax: 'temperature_2m_max',
+                tempMin: 'temperature_2m_min',
+                precipitation: 'precipitation_sum',
+                precipitationProbability: 'precipitation_probability_max',
+                sunshineDuration: 'sunshine_duration',
+                windMax: 'windspeed_10m_max',
+                gustMax: 'windgusts_10m_max',
+                uvMax: 'uv_index_max',
+                snowfall: 'snowfall_sum',
+                humidity: 'relative_humidity_2m_mean',
+                cloudCover: 'cloud_cover_mean',
+                feelsLikeMax: 'apparent_temperature_max'
+            },
+            hourly: {
+                temp: 'temperature_2m',
+                precipitation: 'precipitation',
+                precipitationProbability: 'precipitation_probability',
+                cloudCover: 'cloud_cover',
+                sunshineDuration: 'sunshine_duration',
+                wind: 'wind_speed_10m',
+                gusts: 'wind_gusts_10m',
+                uv: 'uv_index',
+                snowfall: 'snowfall',
+                humidity: 'relative_humidity_2m',
+                feelsLike: 'apparent_temperature'
+            }
+        };
+    }
+
+    getOpenMeteoEnsembleFields() {
+        // The ensemble API offers fewer daily variables; sunshine and rain chance are derived later
+        return {
+            daily: {
+                tempMax: 'temperature_2m_max',
+                tempMin: 'temperature_2m_min',
+                precipitation: 'precipitation_sum',
+                windMax: 'wind_speed_10m_max',
+                gustMax: 'wind_gusts_10m_max',
+                snowfall: 'snowfall_sum',
+                humidity: 'relative_humidity_2m_mean',
+                cloudCover: 'cloud_cover_mean',
+                feelsLikeMax: 'apparent_temperature_max'
+            }
+        };
+    }
+
+    async fetchOpenMeteo(urls, points, days) {
+        // Open-Meteo API with enhanced weather data, one location list per request
+        const model = this.getWeatherModels()[this.weatherModel] || this.getWeatherModels().best_match;
+        const fields = model.ensemble ? this.getOpenMeteoEnsembleFields() : this.getOpenMeteoFields();
+
+        let url = `${model.ensemble ? urls.ensemble : urls.forecast}?` +
+            `latitude=${points.map(p => p.lat.toFixed(4)).join(',')}` +
+            `&longitude=${points.map(p => p.lon.toFixed(4)).join(',')}` +
+            `&daily=${Object.values(fields.daily).join(',')}` +
+            `&timezone=auto&forecast_days=${days}`;
+
+        if (model.models) {
+            url += `&models=${model.models}`;
         }
 
-        // Light rain or drizzle
-        if (rain > 2 || rainChance > 40) {
-            return '🌦️';
+        // Hourly values let scoring focus on the activity window (too large to fetch per ensemble member)
+        if (this.hourlyMode && fields.hourly) {
+            url += `&hourly=${Object.values(fields.hourly).join(',')}`;
         }
 
-        // Cloudy (less sun)
-        if (sunHours < 4) {
-            return '☁️';
+        const response = await fetch(url);
+
+        if (response.status === 429) {
+            return { status: 429, retryAfter: this.getRetryAfter(response) };
         }
 
-        // Partly cloudy
-        if (sunHours < 8) {
-            return '⛅';
+        if (!response.ok) {
+            throw new Error(`Weather API error for ${points.length} points: ${response.status}`);
         }
 
-        // Sunny
-        return '☀️';
+        const data = await response.json();
+
+        // A single location comes back as an object, several as an array in request order
+        const locations = Array.isArray(data) ? data : [data];
+
+        return {
+            status: 200,
+            cachedAt: response.headers.get('X-Weather-Chaser-Cached-At'),
+            locations: points.map((_, i) => locations[i] && locations[i].daily ? this.normalizeOpenMeteo(locations[i], fields) : null)
+        };
     }
 
-    toggleDetailRow(index) {
-        const dataRow = document.querySelector(`tr.data-row[data-index="${index}"]`);
-        const detailRow = document.querySelector(`tr.detail-row[data-index="${index}"]`);
+    normalizeOpenMeteo(data, fields = this.getOpenMeteoFields()) {
+        const pick = (source, mapping, suffix) => {
+            const values = { time: source.time };
+            Object.entries(mapping).forEach(([key, name]) => {
+                if (source[name + suffix]) values[key] = source[name + suffix];
+            });
+            return values;
+        };
 
-        if (detailRow.style.display === 'none') {
-            detailRow.style.display = 'table-row';
-            dataRow.classList.add('expanded');
-        } else {
-            detailRow.style.display = 'none';
-            dataRow.classList.remove('expanded');
+        // Several models come back with every variable suffixed by the model ("_gfs_seamless"),
+        // ensembles as a control run plus "_member01", "_member02", ...
+        const probe = fields.daily.tempMax;
+        const suffixes = Object.keys(data.daily)
+            .filter(name => name.startsWith(`${probe}_`))
+            .map(name => name.slice(probe.length));
+        if (data.daily[probe]) suffixes.unshift('');
+
+        const variants = suffixes.map(suffix => {
+            const variant = pick(data.daily, fields.daily, suffix);
+            if (data.hourly && fields.hourly) {
+                variant.hourly = pick(data.hourly, fields.hourly, suffix);
+            }
+
+            // Sources without sunshine figures: assume 12 daylight hours of sun through the gaps in the clouds
+            if (!variant.sunshineDuration && variant.cloudCover) {
+                variant.sunshineDuration = variant.cloudCover.map(cloud => cloud === null ? null : Math.round((1 - cloud / 100) * 12 * 3600));
+            }
+
+            return variant;
+        });
+
+        return variants.length === 1 ? variants[0] : this.combineForecastMembers(variants);
+    }
+
+    combineForecastMembers(members) {
+        // Mean of every variable across the members that have a value for that day (or hour)
+        const meanOf = (series, key) => series[0][key].map((_, i) => {
+            const values = series
+                .map(member => member[key] ? member[key][i] : null)
+                .filter(value => value !== null && value !== undefined);
+            return values.length > 0 ? Math.round(this.average(values) * 10) / 10 : null;
+        });
+
+        const weather = { time: members[0].time };
+        Object.keys(members[0]).filter(key => key !== 'time' && key !== 'hourly').forEach(key => {
+            weather[key] = meanOf(members, key);
+        });
+
+        // Without a rain chance from the source, use the share of members with measurable rain
+        if (!weather.precipitationProbability) {
+            weather.precipitationProbability = weather.time.map((_, i) => {
+                const values = members.map(member => member.precipitation[i]).filter(value => value !== null);
+                return values.length > 0 ? Math.round(values.filter(value => value >= 0.2).length / values.length * 100) : null;
+            });
         }
+
+        if (members[0].hourly) {
+            const hourlyMembers = members.map(member => member.hourly);
+            weather.hourly = { time: hourlyMembers[0].time };
+            Object.keys(hourlyMembers[0]).filter(key => key !== 'time').forEach(key => {
+                weather.hourly[key] = meanOf(hourlyMembers, key);
+            });
+        }
+
+        weather.members = members;
+        return weather;
     }
 
-    highlightMarker(index) {
-        const point = this.weatherData[index];
+    async fetchMetNorway(point, days) {
+        // Locationforecast accepts at most 4 decimals and one location per request
+        const url = `https://api.met.no/weatherapi/locationforecast/2.0/complete` +
+            `?lat=${point.lat.toFixed(4)}&lon=${point.lon.toFixed(4)}`;
 
-        // Pan to marker and open popup
-        this.map.setView([point.lat, point.lon], 10);
-        this.markers[index].openPopup();
+        const response = await fetch(url);
 
-        // Highlight table row
-        document.querySelectorAll('.data-row').forEach(row => {
-            row.classList.remove('selected');
+        if (response.status === 429) {
+            return { status: 429, retryAfter: this.getRetryAfter(response) };
+        }
+
+        if (!response.ok) {
+            throw new Error(`MET Norway API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        return {
+            status: 200,
+            cachedAt: response.headers.get('X-Weather-Chaser-Cached-At'),
+            locations: [this.normalizeMetNorway(data, point, days)]
+        };
+    }
+
+    normalizeMetNorway(data, point, days) {
+        // MET Norway reports UTC steps: hourly for the first ~2.5 days, 6-hourly after that.
+        // Each step is spread over the hours it covers in approximate local solar time.
+        const utcOffsetMs = Math.round(point.lon / 15) * 60 * 60 * 1000;
+        const hours = new Map();
+
+        data.properties.timeseries.forEach(entry => {
+            const instant = entry.data.instant.details;
+            const period = entry.data.next_1_hours ? { length: 1, ...entry.data.next_1_hours }
+                : entry.data.next_6_hours ? { length: 6, ...entry.data.next_6_hours }
+                : null;
+            if (!period) return;
+
+            const details = period.details || {};
+            const start = new Date(entry.time).getTime() + utcOffsetMs;
+            const orNull = (value) => value === undefined ? null : value;
+
+            for (let h = 0; h < period.length; h++) {
+                const local = new Date(start + h * 60 * 60 * 1000);
+                const key = `${local.toISOString().slice(0, 13)}:00`;
+                const cloud = orNull(instant.cloud_area_fraction);
+                const isDaytime = local.getUTCHours() >= 6 && local.getUTCHours() < 18;
+
+                hours.set(key, {
+                    temp: instant.air_temperature,
+                    tempHigh: details.air_temperature_max !== undefined ? details.air_temperature_max : instant.air_temperature,
+                    tempLow: details.air_temperature_min !== undefined ? details.air_temperature_min : instant.air_temperature,
+                    precipitation: (details.precipitation_amount || 0) / period.length,
+                    precipitationProbability: orNull(details.probability_of_precipitation),
+                    cloudCover: cloud,
+                    // No sunshine figures from MET Norway; assume daytime sun through the gaps in the clouds
+                    sunshineDuration: isDaytime && cloud !== null ? 3600 * (1 - cloud / 100) : 0,
+                    wind: instant.wind_speed * 3.6, // m/s → km/h
+                    gusts: instant.wind_speed_of_gust === undefined ? null : instant.wind_speed_of_gust * 3.6,
+                    uv: orNull(instant.ultraviolet_index_clear_sky),
+                    humidity: orNull(instant.relative_humidity)
+                });
+            }
         });
-        document.querySelector(`.data-row[data-index="${index}"]`).classList.add('selected');
 
-        // Scroll to map
-        document.getElementById('mapContainer').scrollIntoView({
-            behavior: 'smooth',
-            block: 'center'
+        // Keep today plus every later date with (nearly) full coverage
+        const dates = [...new Set([...hours.keys()].map(key => key.slice(0, 10)))].sort();
+        const keptDates = dates
+            .filter((date, i) => i === 0 || [...hours.keys()].filter(key => key.startsWith(date)).length >= 18)
+            .slice(0, days);
+
+        const round = (value) => value === null ? null : Math.round(value * 10) / 10;
+        const values = (list, key) => list.map(hour => hour[key]).filter(value => value !== null && value !== undefined);
+        const maxOrNull = (list) => list.length > 0 ? Math.max(...list) : null;
+        const meanOrNull = (list) => list.length > 0 ? this.average(list) : null;
+
+        const weather = {
+            time: keptDates, tempMax: [], tempMin: [], precipitation: [], precipitationProbability: [],
+            sunshineDuration: [], windMax: [], gustMax: [], uvMax: [], humidity: [], cloudCover: []
+        };
+        const hourly = {
+            time: [], temp: [], precipitation: [], precipitationProbability: [], cloudCover: [],
+            sunshineDuration: [], wind: [], gusts: [], uv: [], humidity: []
+        };
+
+        keptDates.forEach(date => {
+            const dayHours = [];
+
+            for (let h = 0; h < 24; h++) {
+                const key = `${date}T${String(h).padStart(2, '0')}:00`;
+                const hour = hours.get(key) || null;
+                if (hour) dayHours.push(hour);
+
+                hourly.time.push(key);
+                Object.keys(hourly).filter(name => name !== 'time').forEach(name => {
+                    hourly[name].push(hour && hour[name] !== null ? round(hour[name]) : null);
+                });
+            }
+
+            weather.tempMax.push(round(maxOrNull(values(dayHours, 'tempHigh'))));
+            weather.tempMin.push(round(Math.min(...values(dayHours, 'tempLow'))));
+            weather.precipitation.push(round(this.sum(values(dayHours, 'precipitation'))));
+            weather.precipitationProbability.push(maxOrNull(values(dayHours, 'precipitationProbability')));
+            weather.sunshineDuration.push(Math.round(this.sum(values(dayHours, 'sunshineDuration'))));
+            weather.windMax.push(round(maxOrNull(values(dayHours, 'wind'))));
+            weather.gustMax.push(round(maxOrNull(values(dayHours, 'gusts'))));
+            weather.uvMax.push(round(maxOrNull(values(dayHours, 'uv'))));
+            weather.humidity.push(round(meanOrNull(values(dayHours, 'humidity'))));
+            weather.cloudCover.push(round(meanOrNull(values(dayHours, 'cloudCover'))));
         });
+
+        if (this.hourlyMode) {
+            weather.hourly = hourly;
+        }
+
+        return weather;
     }
 
-    handleSort(column) {
-        // Toggle sort direction
-        if (this.currentSortColumn === column) {
-            this.currentSortDirection = this.currentSortDirection === 'asc' ? 'desc' : 'asc';
-        } else {
-            this.currentSortColumn = column;
-            this.currentSortDirection = 'desc';
+    async fetchMockForecast(points, days) {
+        if (typeof MOCK_FORECAST_FIXTURES === 'undefined') {
+            throw new Error('Mock forecast fixtures (fixtures/mock-forecast.js) are not loaded');
         }
 
-        // Update header indicators
-        document.querySelectorAll('th.sortable').forEach(th => {
-            th.classList.remove('sorted-asc', 'sorted-desc');
-        });
+        return {
+            status: 200,
+            locations: points.map(point => this.normalizeOpenMeteo(this.buildMockForecast(point, days)))
+        };
+    }
 
-        const currentTh = document.querySelector(`th[data-column="${column}"]`);
-        currentTh.classList.add(`sorted-${this.currentSortDirection}`);
+    buildMockForecast(point, days) {
+        // Blend two neighbouring fixture regimes with a smooth function of the location,
+        // so nearby points get similar weather and the same point always gets the same forecast
+        const fixtures = MOCK_FORECAST_FIXTURES;
+        const position = (Math.sin(point.lat * 1.7) + Math.cos(point.lon * 2.3) + 2) / 4 * (fixtures.length - 1);
+        const lower = fixtures[Math.floor(position)].daily;
+        const upper = fixtures[Math.min(fixtures.length - 1, Math.floor(position) + 1)].daily;
+        const blend = position - Math.floor(position);
+
+        // Dates start today so the mock looks like a live forecast
+        const today = new Date();
+        const daily = { time: [] };
+        const dayCount = Math.min(days, lower.temperature_2m_max.length);
+
+        for (let i = 0; i < dayCount; i++) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i);
+            daily.time.push(`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`);
+        }
 
-        // Sort data
-        this.weatherData.sort((a, b) => {
-            let aVal = a[column];
-            let bVal = b[column];
+        Object.keys(lower).forEach(name => {
+            daily[name] = daily.time.map((_, i) => Math.round((lower[name][i] * (1 - blend) + upper[name][i] * blend) * 10) / 10);
+        });
 
-            if (this.currentSortDirection === 'asc') {
-                return aVal > bVal ? 1 : -1;
-            } else {
-                return aVal < bVal ? 1 : -1;
+        return { daily: daily, hourly: this.hourlyMode ? this.buildMockHourly(daily) : null };
+    }
+
+    buildMockHourly(daily) {
+        // Plausible daily cycles: warmest mid-afternoon, sun around midday, showers in the afternoon
+        const hourly = {
+            time: [], temperature_2m: [], precipitation: [], precipitation_probability: [], cloud_cover: [],
+            sunshine_duration: [], wind_speed_10m: [], wind_gusts_10m: [], uv_index: [], snowfall: [],
+            relative_humidity_2m: [], apparent_temperature: []
+        };
+        const round = (value) => Math.round(value * 10) / 10;
+
+        daily.time.forEach((date, i) => {
+            const sunHours = daily.sunshine_duration[i] / 3600;
+            const sunStart = 13 - sunHours / 2;
+
+            for (let h = 0; h < 24; h++) {
+                const warmth = (1 - Math.cos(((h - 4) / 24) * 2 * Math.PI)) / 2; // 0 at 04:00, 1 at 16:00
+                const temp = daily.temperature_2m_min[i] + (daily.temperature_2m_max[i] - daily.temperature_2m_min[i]) * warmth;
+                const isShowerHour = h >= 13 && h < 19;
+
+                hourly.time.push(`${date}T${String(h).padStart(2, '0')}:00`);
+                hourly.temperature_2m.push(round(temp));
+                hourly.precipitation.push(isShowerHour ? round(daily.precipitation_sum[i] / 6) : 0);
+                hourly.precipitation_probability.push(isShowerHour ? daily.precipitation_probability_max[i] : Math.round(daily.precipitation_probability_max[i] / 3));
+                hourly.cloud_cover.push(Math.round(daily.cloud_cover_mean[i]));
+                hourly.sunshine_duration.push(Math.round(Math.max(0, Math.min(1, h + 1 - sunStart, sunStart + sunHours - h)) * 3600));
+                hourly.wind_speed_10m.push(round(daily.windspeed_10m_max[i] * (0.5 + 0.5 * warmth)));
+                hourly.wind_gusts_10m.push(round(daily.windgusts_10m_max[i] * (0.5 + 0.5 * warmth)));
+                hourly.uv_index.push(round(daily.uv_index_max[i] * Math.max(0, Math.sin(((h - 7) / 12) * Math.PI))));
+                hourly.snowfall.push(isShowerHour ? round(daily.snowfall_sum[i] / 6) : 0);
+                hourly.relative_humidity_2m.push(Math.round(daily.relative_humidity_2m_mean[i] + 10 * (0.5 - warmth)));
+                hourly.apparent_temperature.push(round(temp + daily.apparent_temperature_max[i] - daily.temperature_2m_max[i]));
             }
         });
 
-        // Update ranks
-        this.weatherData.forEach((item, index) => {
+        return hourly;
+    }
+
+    calculateScores(weatherData) {
+        const results = [];
+
+        for (const point of weatherData) {
+            if (!point.weather) continue;
+
+            const weather = point.weather;
+
+            // Only the chosen trip days count towards the averages
+            const tripDays = weather.time.map((date, i) => i).filter(i => this.isTripDay(weather.time[i]));
+            if (tripDays.length === 0) continue;
+
+            const days = tripDays.map(i => this.getDayConditions(weather, i));
+            const numDays = days.length;
+
+            // Calculate averages
+            const avgTemp = this.average(days.map(d => d.avgTemp));
+
+            const totalRain = this.sum(days.map(d => d.rain));
+            const avgRainPerDay = totalRain / numDays;
+
+            // Extra variables (and the rain chance) are null when the forecast doesn't provide them
+            const averageOrNull = (key) => days.some(d => d[key] !== null) ? this.average(days.map(d => d[key])) : null;
+            const avgRainChance = averageOrNull('rainChance');
+
+            const avgSunHours = this.sum(days.map(d => d.sunHours)) / numDays;
+
+            const avgWind = this.average(days.map(d => d.wind));
+
+            const avgGusts = averageOrNull('gusts');
+            const avgUv = averageOrNull('uv');
+            const avgSnowfall = averageOrNull('snowfall');
+            const avgHumidity = averageOrNull('humidity');
+            const avgCloudCover = averageOrNull('cloudCover');
+            const avgFeelsLike = averageOrNull('feelsLike');
+            const roundOrNull = (value) => value === null ? null : Math.round(value * 10) / 10;
+
+            // Score the trip averages with the active profile's weights
+            const totalScore = this.scoreConditions({
+                rain: avgRainPerDay,
+                rainChance: avgRainChance,
+                sunHours: avgSunHours,
+                avgTemp: avgTemp,
+                wind: avgWind,
+                gusts: avgGusts,
+                uv: avgUv,
+                snowfall: avgSnowfall,
+                humidity: avgHumidity,
+                cloudCover: avgCloudCover,
+                feelsLike: avgFeelsLike,
+                daylightHours: days[0].daylightHours
+            });
+
+            // Model disagreement: spread of the members' daily scores, averaged over the trip
+            const dailySpread = this.getDailyScoreSpread(weather);
+            const knownSpreads = tripDays.map(i => dailySpread[i]).filter(spread => spread !== null);
+            const scoreSpread = knownSpreads.length > 0 ? Math.round(this.average(knownSpreads) * 10) / 10 : null;
+            const penalty = (this.getActiveProfile().uncertaintyPenalty || 0) * (scoreSpread || 0);
+
+            results.push({
+                lat: point.lat,
+                lon: point.lon,
+                score: Math.round(Math.max(0, totalScore - penalty) * 10) / 10,
+                scoreSpread: scoreSpread,
+                dailySpread: dailySpread,
+                avgTemp: Math.round(avgTemp * 10) / 10,
+                sunHours: Math.round(avgSunHours * 10) / 10,
+                rainAmount: Math.round(totalRain * 10) / 10,
+                rainChance: avgRainChance === null ? null : Math.round(avgRainChance),
+                windSpeed: Math.round(avgWind * 10) / 10,
+                windGusts: roundOrNull(avgGusts),
+                uvIndex: roundOrNull(avgUv),
+                snowfall: avgSnowfall === null ? null : Math.round(avgSnowfall * numDays * 10) / 10,
+                humidity: avgHumidity === null ? null : Math.round(avgHumidity),
+                cloudCover: avgCloudCover === null ? null : Math.round(avgCloudCover),
+                feelsLike: roundOrNull(avgFeelsLike),
+                name: point.name || null,
+                destinationType: point.destinationType || null,
+                elevation: point.elevation !== undefined ? point.elevation : null,
+                refined: point.refined === true,
+                rawData: weather
+            });
+        }
+
+        // Sort by score (highest first)
+        results.sort((a, b) => b.score - a.score);
+
+        // Add rank
+        results.forEach((item, index) => {
             item.rank = index + 1;
         });
 
-        // Redisplay
-        this.displayInTable();
-        this.displayOnMap();
+        return results;
     }
 
-    getColorForScore(score) {
-        // Red-Yellow-Green gradient
-        if (score >= 90) return '#059669'; // Excellent - Dark Green
-        if (score >= 70) return '#84cc16'; // Good - Yellow-Green (Lime)
-        if (score >= 50) return '#eab308'; // Fair - Yellow
-        return '#dc2626'; // Poor - Red
+    getDailyScoreSpread(weather) {
+        // Standard deviation of the members' scores for each day; null without at least two members
+        return weather.time.map((_, i) => {
+            if (!weather.members) return null;
+
+            const scores = weather.members
+                .filter(member => member.tempMax[i] !== null && member.tempMax[i] !== undefined)
+                .map(member => this.calculateDailyScore(this.getDayConditions(member, i)));
+            if (scores.length < 2) return null;
+
+            const mean = this.average(scores);
+            return Math.round(Math.sqrt(this.average(scores.map(score => Math.pow(score - mean, 2)))) * 10) / 10;
+        });
     }
 
-    getScoreClass(score) {
-        if (score >= 90) return 'score-excellent';
-        if (score >= 70) return 'score-good';
-        if (score >= 50) return 'score-fair';
-        return 'score-poor';
+    getConfidence(spread) {
+        if (spread === null || spread === undefined) return null;
+        if (spread < 5) return 'high';
+        if (spread < 10) return 'medium';
+        return 'low';
     }
 
-    showLoading(show) {
-        const loading = document.getElementById('loadingIndicator');
-        const searchBtn = document.getElementById('searchBtn');
+    formatConfidence(spread) {
+        const confidence = this.getConfidence(spread);
+        if (!confidence) return '';
 
-        if (show) {
-            loading.classList.remove('hidden');
-            searchBtn.disabled = true;
-        } else {
-            loading.classList.add('hidden');
-            searchBtn.disabled = false;
+        const labels = { high: 'Models agree', medium: 'Models partly disagree', low: 'Low confidence: models disagree' };
+        return `<span class="confidence confidence-${confidence}" title="${labels[confidence]} (score ±${spread})">` +
+            `${confidence === 'low' ? '⚠️ ' : ''}±${Math.round(spread)}</span>`;
+    }
+
+    calculateTempScore(temp) {
+        // Full marks within the profile's tolerance of its optimum, stepping down beyond it
+        const { tempOptimum, tempTolerance } = this.getActiveProfile();
+        const diff = Math.abs(temp - tempOptimum);
+
+        if (diff <= tempTolerance) return 100;
+        if (diff <= tempTolerance * 2) return 90;
+        if (diff <= tempTolerance * 4) return 70;
+        if (diff <= tempTolerance * 6) return 50;
+        if (diff <= tempTolerance * 8) return 30;
+        return 10;
+    }
+
+    calculateWindScore(wind) {
+        // Calm profiles have an optimum of 0; every 2 km/h away from the optimum costs 1%
+        const { windOptimum } = this.getActiveProfile();
+        return Math.max(0, 100 - Math.abs(wind - windOptimum) * 2);
+    }
+
+    getScoringFactors() {
+        // field: the condition a factor reads; factors are skipped when it is missing
+        return [
+            { key: 'rainAmount', field: 'rain', label: '🌧️ Rain Amount', score: c => Math.max(0, 100 - (c.rain * 10)) }, // 10mm = 0 score
+            { key: 'rainChance', field: 'rainChance', label: '☔ Rain Chance', score: c => Math.max(0, 100 - c.rainChance) },
+            { key: 'sun', field: 'sunHours', label: '☀️ Sunshine', score: c => Math.min(100, (c.sunHours / c.daylightHours) * 100) }, // 12 hours (or the whole activity window) = perfect
+            { key: 'temp', field: 'avgTemp', label: '🌡️ Temperature', score: c => this.calculateTempScore(c.avgTemp) },
+            { key: 'wind', field: 'wind', label: '💨 Wind', score: c => this.calculateWindScore(c.wind) },
+            { key: 'gusts', field: 'gusts', label: '🌬️ Gusts', score: c => Math.max(0, 100 - (c.gusts * 1.25)) }, // 80 km/h = 0 score
+            { key: 'uv', field: 'uv', label: '🔆 UV Index', score: c => Math.max(0, 100 - (c.uv * 10)) }, // UV 10 = 0 score
+            { key: 'snowfall', field: 'snowfall', label: '❄️ Snowfall', score: c => Math.max(0, 100 - (c.snowfall * 10)) }, // 10cm = 0 score
+            { key: 'humidity', field: 'humidity', label: '💧 Humidity', score: c => Math.max(0, 100 - Math.abs(c.humidity - 50) * 2) }, // 50% = perfect
+            { key: 'cloudCover', field: 'cloudCover', label: '☁️ Cloud Cover', score: c => Math.max(0, 100 - c.cloudCover) },
+            { key: 'feelsLike', field: 'feelsLike', label: '🤒 Feels-Like Temp', score: c => this.calculateTempScore(c.feelsLike) }
+        ];
+    }
+
+    scoreConditions(conditions) {
+        // Weighted average of the factor scores; weights don't need to add up to 1
+        const { weights } = this.getActiveProfile();
+        let total = 0;
+        let weightSum = 0;
+
+        for (const factor of this.getScoringFactors()) {
+            const weight = weights[factor.key] || 0;
+            const value = conditions[factor.field];
+            if (weight <= 0 || value === null || value === undefined) continue;
+
+            total += factor.score(conditions) * weight;
+            weightSum += weight;
+        }
+
+        return weightSum > 0 ? total / weightSum : 0;
+    }
+
+    average(arr) {
+        const validValues = arr.filter(v => v !== null && v !== undefined);
+        return validValues.length > 0
+            ? validValues.reduce((a, b) => a + b, 0) / validValues.length
+            : 0;
+    }
+
+    sum(arr) {
+        const validValues = arr.filter(v => v !== null && v !== undefined);
+        return validValues.reduce((a, b) => a + b, 0);
+    }
+
+    escapeHtml(text) {
+        // Names come from shared links, OpenStreetMap and saved trips, so never trust them as markup
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    displayResults() {
+        this.displayOnMap();
+        this.displayInTable();
+        this.refreshComparison();
+
+        // Show results section
+        document.getElementById('resultsSection').classList.remove('hidden');
+
+        // Show route builder section if we have enough data
+        const routeSection = document.getElementById('routeBuilderSection');
+        if (routeSection && this.weatherData.length >= 2) {
+            routeSection.classList.remove('hidden');
+            // Populate start location dropdown with grid points
+            this.populateStartLocationDropdown();
         }
+
+        // Scroll to results
+        document.getElementById('resultsSection').scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+
+    populateStartLocationDropdown() {
+        const dropdown = document.getElementById('startLocation');
+
+        // Clear existing options except the first (default) one
+        dropdown.innerHTML = '<option value="">Start from best weather spot</option>' +
+            '<option value="device">📍 My current position</option>' +
+            (this.sharedOrigin ? `<option value="shared">📍 Shared start (${this.sharedOrigin.label})</option>` : '');
+        this.updateDeviceStartOption();
+
+        // Add an option for each weather data point
+        this.weatherData.forEach((point, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+
+            // Create a descriptive label with rank, location, and score
+            const locationLabel = point.name || `${point.lat.toFixed(2)}, ${point.lon.toFixed(2)}`;
+            option.textContent = `#${point.rank} - ${locationLabel} (Score: ${point.score})`;
+
+            dropdown.appendChild(option);
+        });
+    }
+
+    updateDeviceStartOption() {
+        const option = document.querySelector('#startLocation option[value="device"]');
+        if (option && this.devicePosition) {
+            option.textContent = `📍 My position (${this.devicePosition.label})`;
+        }
+    }
+
+    displayOnMap(fitToMarkers = true) {
+        // Clear existing markers
+        this.markers.forEach(marker => this.map.removeLayer(marker));
+        this.markers = [];
+        this.renderTimeline();
+        this.renderHeatmap();
+
+        if (this.weatherData.length === 0) return;
+
+        // Add markers for all points
+        this.weatherData.forEach((point, index) => {
+            // Points added by grid refinement are drawn smaller than the coarse grid
+            const radius = point.refined ? 5 : 8;
+            const marker = L.circleMarker([point.lat, point.lon], {
+                radius: radius,
+                weight: 2,
+                opacity: 1,
+                fillOpacity: 0.8
+            });
+
+            // Every point gets a marker so indexes line up; filtered ones stay off the map
+            if (this.passesTableFilters(point)) {
+                marker.addTo(this.map);
+            }
+
+            marker.setStyle(this.getMarkerStyle(point));
+            marker.bindPopup(this.getMarkerPopup(point));
+
+            marker.on('mouseover', function() {
+                this.setStyle({ radius: radius + 4, weight: 3 });
+            });
+
+            marker.on('mouseout', function() {
+                this.setStyle({ radius: radius, weight: 2 });
+            });
+
+            this.markers.push(marker);
+        });
+
+        // Fit map to show all markers
+        const shown = this.markers.filter(marker => this.map.hasLayer(marker));
+        if (fitToMarkers && shown.length > 0) {
+            const group = L.featureGroup(shown);
+            this.map.fitBounds(group.getBounds().pad(0.1));
+        }
+    }
+
+    getMapValues(point) {
+        // Values shown on the map: the averages, or a single day picked on the timeline
+        const day = this.timelineDay;
+        if (day === null || !point.rawData || day >= point.rawData.time.length) {
+            return {
+                score: point.score,
+                spread: point.scoreSpread,
+                avgTemp: point.avgTemp,
+                sunHours: point.sunHours,
+                rainAmount: point.rainAmount,
+                rainChance: point.rainChance,
+                windSpeed: point.windSpeed
+            };
+        }
+
+        const conditions = this.getDayConditions(point.rawData, day);
+        const round = (value) => value === null ? null : Math.round(value * 10) / 10;
+
+        return {
+            score: this.getDailyScoreForPoint(point, day),
+            spread: point.dailySpread ? point.dailySpread[day] : null,
+            avgTemp: round(conditions.avgTemp),
+            sunHours: round(conditions.sunHours),
+            rainAmount: round(conditions.rain),
+            rainChance: conditions.rainChance === null ? null : Math.round(conditions.rainChance),
+            windSpeed: round(conditions.wind)
+        };
+    }
+
+    getMarkerStyle(point) {
+        const values = this.getMapValues(point);
+        const confidence = this.getConfidence(values.spread);
+
+        // Low-confidence spots get a dark dashed outline
+        return {
+            fillColor: this.getColorForScore(values.score),
+            color: confidence === 'low' ? '#1e293b' : '#fff',
+            dashArray: confidence === 'low' ? '3 3' : null
+        };
+    }
+
+    getMarkerPopup(point) {
+        const values = this.getMapValues(point);
+        const confidence = this.getConfidence(values.spread);
+        const daily = this.timelineDay !== null;
+
+        return `
+            <div class="weather-popup">
+                <h3>Rank #${point.rank}${daily ? ` · ${this.formatTimelineDay(this.timelineDay)}` : ''}</h3>
+                ${point.name ? `<p class="popup-place">${this.formatPlaceName(point)}</p>` : ''}
+                ${point.refined ? '<p class="refined-note">Added by grid refinement</p>' : ''}
+                <p><strong>${daily ? 'Day Score' : 'Score'}:</strong> ${values.score}${confidence ? ` ± ${values.spread} (${confidence} confidence)` : ''}</p>
+                <p><strong>Avg Temp:</strong> ${values.avgTemp}°C</p>
+                <p><strong>Sun Hours:</strong> ${values.sunHours}h${daily ? '' : '/day'}</p>
+                <p><strong>${daily ? 'Rain' : 'Total Rain'}:</strong> ${values.rainAmount}mm</p>
+                <p><strong>Rain Chance:</strong> ${values.rainChance === null ? '–' : `${values.rainChance}%`}</p>
+                <p><strong>Wind:</strong> ${values.windSpeed} km/h</p>
+                <p><small>Lat: ${point.lat.toFixed(4)}, Lon: ${point.lon.toFixed(4)}${point.elevation !== null && point.elevation !== undefined ? `, ${Math.round(point.elevation)} m` : ''}</small></p>
+            </div>
+        `;
+    }
+
+    // Map Timeline Functions
+
+    initTimelineControls() {
+        document.getElementById('timelineSlider').addEventListener('input', (e) => {
+            this.stopTimelinePlayback();
+            this.setTimelineDay(parseInt(e.target.value));
+        });
+
+        document.getElementById('timelineAverage').addEventListener('click', () => {
+            this.stopTimelinePlayback();
+            this.setTimelineDay(null);
+        });
+
+        document.getElementById('timelinePlay').addEventListener('click', () => {
+            if (this.timelineTimer) {
+                this.stopTimelinePlayback();
+            } else {
+                this.startTimelinePlayback();
+            }
+        });
+    }
+
+    renderTimeline() {
+        const panel = document.getElementById('timelinePanel');
+
+        if (this.weatherData.length === 0 || !this.weatherData[0].rawData) {
+            this.stopTimelinePlayback();
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const dayCount = this.weatherData[0].rawData.time.length;
+        if (this.timelineDay !== null && this.timelineDay >= dayCount) {
+            this.timelineDay = null;
+        }
+
+        document.getElementById('timelineSlider').max = dayCount - 1;
+        panel.classList.remove('hidden');
+        this.updateTimelineLabel();
+    }
+
+    setTimelineDay(day) {
+        this.timelineDay = day;
+        this.updateTimelineLabel();
+
+        // Restyle the existing markers so open popups and the map view stay put
+        this.weatherData.forEach((point, index) => {
+            const marker = this.markers[index];
+            if (!marker) return;
+
+            marker.setStyle(this.getMarkerStyle(point));
+            marker.setPopupContent(this.getMarkerPopup(point));
+        });
+
+        this.renderHeatmap();
+    }
+
+    updateTimelineLabel() {
+        const day = this.timelineDay;
+        const label = document.getElementById('timelineLabel');
+
+        if (day === null) {
+            label.textContent = 'Average of all scored days';
+        } else {
+            const date = this.weatherData[0].rawData.time[day];
+            label.textContent = `${this.formatTimelineDay(day)}${this.isTripDay(date) ? '' : ' (outside trip dates)'}`;
+            document.getElementById('timelineSlider').value = day;
+        }
+
+        document.getElementById('timelineAverage').classList.toggle('active', day === null);
+        document.getElementById('timelineSlider').classList.toggle('inactive', day === null);
+    }
+
+    formatTimelineDay(day) {
+        const date = this.weatherData[0].rawData.time[day];
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    startTimelinePlayback() {
+        const dayCount = this.weatherData[0].rawData.time.length;
+        document.getElementById('timelinePlay').textContent = '⏸️ Pause';
+
+        // Step one day per second and loop back to the first day
+        this.timelineTimer = setInterval(() => {
+            const next = this.timelineDay === null ? 0 : (this.timelineDay + 1) % dayCount;
+            this.setTimelineDay(next);
+        }, 1000);
+        if (this.timelineDay === null) this.setTimelineDay(0);
+    }
+
+    stopTimelinePlayback() {
+        if (!this.timelineTimer) return;
+
+        clearInterval(this.timelineTimer);
+        this.timelineTimer = null;
+        document.getElementById('timelinePlay').textContent = '▶️ Play';
+    }
+
+    // Heatmap Functions
+
+    getHeatmapMetrics() {
+        // Values come from getMapValues, so the heatmap follows the timeline day.
+        // Color stops run from the lowest to the highest value in the results
+        return {
+            score: { label: 'Score', unit: '', value: v => v.score, colors: ['#dc2626', '#eab308', '#84cc16', '#059669'] },
+            rain: { label: 'Rain', unit: 'mm', value: v => v.rainAmount, colors: ['#eff6ff', '#60a5fa', '#1e3a8a'] },
+            sun: { label: 'Sun', unit: 'h', value: v => v.sunHours, colors: ['#94a3b8', '#fde047', '#f97316'] },
+            temp: { label: 'Temperature', unit: '°C', value: v => v.avgTemp, colors: ['#2563eb', '#f8fafc', '#dc2626'] },
+            wind: { label: 'Wind', unit: 'km/h', value: v => v.windSpeed, colors: ['#f0fdf4', '#a78bfa', '#5b21b6'] }
+        };
+    }
+
+    initHeatmapControls() {
+        const panel = document.getElementById('heatmapPanel');
+
+        // Clicks on the panel should not reach the map underneath
+        L.DomEvent.disableClickPropagation(panel);
+        L.DomEvent.disableScrollPropagation(panel);
+
+        document.querySelectorAll('#heatmapToggles button').forEach(button => {
+            button.classList.toggle('active', button.dataset.metric === this.heatmapMetric);
+            button.addEventListener('click', () => this.setHeatmapMetric(button.dataset.metric));
+        });
+
+        document.getElementById('heatmapBands').addEventListener('change', () => this.renderHeatmap());
+    }
+
+    setHeatmapMetric(metric) {
+        this.heatmapMetric = metric;
+        localStorage.setItem('weatherChaser.heatmapMetric', metric);
+
+        document.querySelectorAll('#heatmapToggles button').forEach(button => {
+            button.classList.toggle('active', button.dataset.metric === metric);
+        });
+
+        this.renderHeatmap();
+    }
+
+    renderHeatmap() {
+        if (this.heatmapLayer) {
+            this.map.removeLayer(this.heatmapLayer);
+            this.heatmapLayer = null;
+        }
+        const legend = document.getElementById('heatmapLegend');
+        legend.classList.add('hidden');
+
+        const metric = this.getHeatmapMetrics()[this.heatmapMetric];
+        if (!metric) return;
+
+        const points = this.weatherData
+            .map(p => ({ lat: p.lat, lon: p.lon, value: metric.value(this.getMapValues(p)) }))
+            .filter(p => p.value !== null && p.value !== undefined && !isNaN(p.value));
+        if (points.length < 2) return;
+
+        const values = points.map(p => p.value);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const bands = document.getElementById('heatmapBands').checked ? 8 : 0;
+        const colors = metric.colors.map(hex => this.parseHexColor(hex));
+
+        const area = this.getSearchArea(points);
+        const { width, height, rowLats, colLons } = this.getHeatmapRaster(area.bounds);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(width, height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const lat = rowLats[y];
+                const lon = colLons[x];
+                if (!area.contains(lat, lon)) continue;
+
+                let t = max > min ? (this.interpolateIdw(points, lat, lon) - min) / (max - min) : 0.5;
+                if (bands) {
+                    // Snap to discrete steps so the overlay reads like contour bands
+                    t = Math.min(Math.floor(t * bands), bands - 1) / (bands - 1);
+                }
+
+                const [r, g, b] = this.interpolateColor(colors, t);
+                const offset = (y * width + x) * 4;
+                image.data[offset] = r;
+                image.data[offset + 1] = g;
+                image.data[offset + 2] = b;
+                image.data[offset + 3] = 170;
+            }
+        }
+
+        context.putImageData(image, 0, 0);
+        this.heatmapLayer = L.imageOverlay(canvas.toDataURL(), area.bounds, {
+            pane: 'heatmap',
+            opacity: 0.75,
+            interactive: false
+        }).addTo(this.map);
+
+        const format = (value) => `${Math.round(value * 10) / 10}${metric.unit ? ` ${metric.unit}` : ''}`;
+        legend.innerHTML = `
+            <span>${format(min)}</span>
+            <div class="heatmap-gradient" style="background: linear-gradient(to right, ${metric.colors.join(', ')})"></div>
+            <span>${format(max)}</span>
+        `;
+        legend.classList.remove('hidden');
+    }
+
+    getSearchArea(points) {
+        // The area that was searched; it clips the heatmap and the refined grid
+        if (this.searchMode === 'draw' && this.drawnShape) {
+            const shape = this.drawnShape;
+            return {
+                bounds: shape.getBounds(),
+                contains: (lat, lon) => !(shape instanceof L.Polygon) || this.pointInPolygon(L.latLng(lat, lon), shape)
+            };
+        }
+
+        const pointBounds = L.latLngBounds(points.map(p => [p.lat, p.lon]));
+
+        if (this.searchMode === 'location') {
+            // The searched center and radius, not the inputs, which may have been edited since
+            const center = this.searchCenter || {
+                lat: pointBounds.getCenter().lat,
+                lon: pointBounds.getCenter().lng,
+                radius: parseInt(document.getElementById('radius').value)
+            };
+            const radius = center.radius;
+            const latDegrees = radius / 111;
+            const lonDegrees = radius / (111 * Math.cos(center.lat * Math.PI / 180));
+
+            return {
+                bounds: L.latLngBounds(
+                    [center.lat - latDegrees, center.lon - lonDegrees],
+                    [center.lat + latDegrees, center.lon + lonDegrees]
+                ),
+                contains: (lat, lon) => this.calculateDistance(center.lat, center.lon, lat, lon) <= radius
+            };
+        }
+
+        // Manual places have no search area, so cover the spots with a small margin
+        const bounds = pointBounds.pad(0.1);
+        return { bounds: bounds, contains: () => true };
+    }
+
+    getHeatmapRaster(bounds) {
+        // Sample rows in Web Mercator so the image lines up with the map tiles
+        const crs = this.map.options.crs;
+        const northWest = crs.project(bounds.getNorthWest());
+        const southEast = crs.project(bounds.getSouthEast());
+        const aspect = (southEast.y - northWest.y) / (southEast.x - northWest.x);
+
+        const maxSize = 256;
+        const width = Math.max(1, Math.round(aspect > 1 ? maxSize / aspect : maxSize));
+        const height = Math.max(1, Math.round(aspect > 1 ? maxSize : maxSize * aspect));
+
+        const rowLats = [];
+        for (let y = 0; y < height; y++) {
+            const projectedY = northWest.y + (y + 0.5) / height * (southEast.y - northWest.y);
+            rowLats.push(crs.unproject(L.point(northWest.x, projectedY)).lat);
+        }
+
+        const colLons = [];
+        for (let x = 0; x < width; x++) {
+            colLons.push(bounds.getWest() + (x + 0.5) / width * (bounds.getEast() - bounds.getWest()));
+        }
+
+        return { width, height, rowLats, colLons };
+    }
+
+    interpolateIdw(points, lat, lon) {
+        // Inverse distance weighting with power 2, distances in km
+        const kmPerLonDegree = 111 * Math.cos(lat * Math.PI / 180);
+        let weightedSum = 0;
+        let weightTotal = 0;
+
+        for (const point of points) {
+            const dx = (lon - point.lon) * kmPerLonDegree;
+            const dy = (lat - point.lat) * 111;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared < 0.0001) return point.value;
+
+            const weight = 1 / distanceSquared;
+            weightedSum += weight * point.value;
+            weightTotal += weight;
+        }
+
+        return weightedSum / weightTotal;
+    }
+
+    parseHexColor(hex) {
+        return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    interpolateColor(colors, t) {
+        // Linear blend between the two color stops around t (0..1)
+        const position = Math.max(0, Math.min(1, t)) * (colors.length - 1);
+        const i = Math.min(Math.floor(position), colors.length - 2);
+        const f = position - i;
+
+        return colors[i].map((channel, k) => Math.round(channel + (colors[i + 1][k] - channel) * f));
+    }
+
+    getResultColumns() {
+        const rainBar = (value, width) => `
+            <div class="table-rain-cell">
+                <span class="rain-value">${value}</span>
+                <div class="rain-bar-container">
+                    <div class="rain-bar" style="width: ${width}%"></div>
+                </div>
+            </div>
+        `;
+        const orDash = (value, unit) => value === null || value === undefined ? '–' : `${value}${unit}`;
+        const maxRain = 50; // mm - max for visualization
+
+        // Columns sort and filter on the point field of the same key; value() replaces
+        // that for columns that are not a plain number, which can be sorted but not filtered
+        return [
+            { key: 'rank', label: 'Rank', render: p => p.rank },
+            { key: 'score', label: 'Score', render: p => `<span class="score-badge ${this.getScoreClass(p.score)}">${p.score}</span>${this.formatConfidence(p.scoreSpread)}${this.formatScoreChange(p.scoreChange)}` },
+            { key: 'location', label: 'Location', value: p => p.name || `${p.lat.toFixed(4)}, ${p.lon.toFixed(4)}`, render: p => `${p.name ? `<strong>${this.formatPlaceName(p)}</strong><br><small>${p.lat.toFixed(4)}, ${p.lon.toFixed(4)}</small>` : `${p.lat.toFixed(4)}, ${p.lon.toFixed(4)}`}${p.refined ? ' <span class="refined-badge" title="Added by grid refinement">refined</span>' : ''}` },
+            { key: 'avgTemp', label: 'Temp (°C)', render: p => `${p.avgTemp}°C` },
+            { key: 'sunHours', label: 'Sun (h/day)', render: p => `${p.sunHours}h` },
+            { key: 'rainAmount', label: 'Rain (mm)', render: p => rainBar(`${p.rainAmount}mm`, Math.min((p.rainAmount / maxRain) * 100, 100)) },
+            { key: 'rainChance', label: 'Rain %', render: p => rainBar(orDash(p.rainChance, '%'), Math.min(p.rainChance || 0, 100)) },
+            { key: 'windSpeed', label: 'Wind (km/h)', render: p => `${p.windSpeed} km/h` },
+            { key: 'windGusts', label: 'Gusts (km/h)', optional: true, render: p => orDash(p.windGusts, ' km/h') },
+            { key: 'uvIndex', label: 'UV', optional: true, render: p => orDash(p.uvIndex, '') },
+            { key: 'snowfall', label: 'Snow (cm)', optional: true, render: p => orDash(p.snowfall, 'cm') },
+            { key: 'humidity', label: 'Humidity %', optional: true, render: p => orDash(p.humidity, '%') },
+            { key: 'cloudCover', label: 'Cloud %', optional: true, render: p => orDash(p.cloudCover, '%') },
+            { key: 'feelsLike', label: 'Feels Like (°C)', optional: true, render: p => orDash(p.feelsLike, '°C') }
+        ];
+    }
+
+    formatScoreChange(change) {
+        // Shown after refreshing a saved trip
+        if (change === undefined || change === 0) return '';
+
+        return change > 0
+            ? `<span class="score-change up">▲ ${change}</span>`
+            : `<span class="score-change down">▼ ${Math.abs(change)}</span>`;
+    }
+
+    getVisibleColumns() {
+        return this.getResultColumns().filter(col => this.visibleColumns.includes(col.key));
+    }
+
+    getColumnValue(column, point) {
+        return column.value ? column.value(point) : point[column.key];
+    }
+
+    loadVisibleColumns() {
+        const defaults = this.getResultColumns().filter(col => !col.optional).map(col => col.key);
+
+        try {
+            this.visibleColumns = JSON.parse(localStorage.getItem('weatherChaser.visibleColumns')) || [...defaults, 'windGusts'];
+        } catch (error) {
+            this.visibleColumns = [...defaults, 'windGusts'];
+        }
+    }
+
+    renderColumnChooser() {
+        const chooser = document.getElementById('columnChooser');
+        const option = col => `
+            <label class="column-option">
+                <input type="checkbox" value="${col.key}" ${this.visibleColumns.includes(col.key) ? 'checked' : ''}>
+                ${col.label}
+            </label>
+        `;
+        const columns = this.getResultColumns();
+
+        chooser.innerHTML =
+            columns.filter(col => !col.optional).map(option).join('') +
+            '<div class="column-chooser-heading">Extra weather</div>' +
+            columns.filter(col => col.optional).map(option).join('');
+    }
+
+    toggleColumn(key, visible) {
+        this.visibleColumns = visible
+            ? [...this.visibleColumns, key]
+            : this.visibleColumns.filter(k => k !== key);
+        localStorage.setItem('weatherChaser.visibleColumns', JSON.stringify(this.visibleColumns));
+
+        if (this.weatherData.length > 0) {
+            this.displayInTable();
+        }
+    }
+
+    renderTableHeader(columns) {
+        const headerRow = document.getElementById('resultsHeader');
+
+        headerRow.innerHTML = '<th></th>' + columns.map(col => {
+            const keyIndex = this.tableSort.findIndex(key => key.column === col.key);
+            const sorted = keyIndex >= 0 ? `sorted-${this.tableSort[keyIndex].direction}` : '';
+            const priority = keyIndex >= 0 && this.tableSort.length > 1 ? `<sup class="sort-priority">${keyIndex + 1}</sup>` : '';
+            return `<th class="sortable ${sorted}" data-column="${col.key}" title="Click to sort, Shift+click to add as a further sort key">${col.label}${priority}</th>`;
+        }).join('');
+
+        headerRow.querySelectorAll('th.sortable').forEach(th => {
+            th.addEventListener('click', (e) => this.handleSort(th.dataset.column, e.shiftKey));
+        });
+
+        const columnsByKey = new Map(this.getResultColumns().map(col => [col.key, col]));
+        const sortSummary = document.getElementById('sortSummary');
+        sortSummary.classList.toggle('hidden', this.tableSort.length === 0);
+        document.getElementById('sortSummaryText').textContent = 'Sorted by ' + this.tableSort
+            .map(key => `${columnsByKey.get(key.column).label} ${key.direction === 'asc' ? '↑' : '↓'}`)
+            .join(', then ');
+    }
+
+    getTableRows() {
+        // Points in display order with their index into weatherData, which stays in weather-rank order
+        const columnsByKey = new Map(this.getResultColumns().map(col => [col.key, col]));
+        const rows = this.weatherData
+            .map((point, index) => ({ point: point, index: index }))
+            .filter(row => this.passesTableFilters(row.point));
+
+        // Array.sort is stable, so rows that tie on every key keep their weather rank order
+        return rows.sort((a, b) => {
+            for (const key of this.tableSort) {
+                const column = columnsByKey.get(key.column);
+                const aVal = this.getColumnValue(column, a.point);
+                const bVal = this.getColumnValue(column, b.point);
+
+                // Missing values sort last in either direction
+                if (aVal === null || aVal === undefined || bVal === null || bVal === undefined) {
+                    const aMissing = aVal === null || aVal === undefined;
+                    const bMissing = bVal === null || bVal === undefined;
+                    if (aMissing !== bMissing) return aMissing ? 1 : -1;
+                    continue;
+                }
+
+                const order = typeof aVal === 'string' ? aVal.localeCompare(bVal) : aVal - bVal;
+                if (order !== 0) return key.direction === 'asc' ? order : -order;
+            }
+            return 0;
+        });
+    }
+
+    displayInTable() {
+        const tbody = document.getElementById('resultsBody');
+        tbody.innerHTML = '';
+
+        const columns = this.getVisibleColumns();
+        this.renderTableHeader(columns);
+
+        const rows = this.getTableRows();
+        this.updateFilterSummary(rows.length);
+
+        if (rows.length === 0 && this.weatherData.length > 0) {
+            tbody.innerHTML = `<tr><td colspan="${columns.length + 1}" class="empty-state">No spots match the filters</td></tr>`;
+            return;
+        }
+
+        rows.forEach(({ point, index }) => {
+            // Main data row
+            const row = document.createElement('tr');
+            row.classList.add('data-row');
+            row.dataset.index = index;
+
+            const compared = this.comparedKeys.includes(this.getPointKey(point));
+            row.innerHTML = `<td class="row-controls"><span class="expand-icon">▶</span><input type="checkbox" class="compare-check" title="Select for comparison" ${compared ? 'checked' : ''}></td>` +
+                columns.map(col => `<td>${col.render(point)}</td>`).join('');
+
+            // Click to expand
+            row.querySelector('.expand-icon').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleDetailRow(index);
+            });
+
+            // Tick to compare
+            const compareCheck = row.querySelector('.compare-check');
+            compareCheck.addEventListener('click', (e) => e.stopPropagation());
+            compareCheck.addEventListener('change', () => this.toggleCompared(point, compareCheck.checked));
+
+            // Click row to show on map
+            row.addEventListener('click', () => {
+                this.highlightMarker(index);
+            });
+
+            tbody.appendChild(row);
+
+            // Detail row (initially hidden)
+            const detailRow = document.createElement('tr');
+            detailRow.classList.add('detail-row');
+            detailRow.style.display = 'none';
+            detailRow.dataset.index = index;
+
+            const detailContent = this.generateDetailContent(point);
+            detailRow.innerHTML = `<td colspan="${columns.length + 1}">${detailContent}</td>`;
+
+            tbody.appendChild(detailRow);
+        });
+
+        this.updateCompareControls();
+    }
+
+    generateDetailContent(point) {
+        const weather = point.rawData;
+        let html = '<div class="detail-content">';
+
+        if (weather.hourly && this.activityWindow) {
+            html += `<p class="window-note">Values cover the activity window ${this.formatActivityWindow()} only</p>`;
+        }
+        if (this.formatDayFilter()) {
+            html += `<p class="window-note">Scores count trip days only (${this.formatDayFilter()}); other days are dimmed</p>`;
+        }
+
+        html += '<div class="day-breakdown">';
+
+        for (let i = 0; i < weather.time.length; i++) {
+            const date = new Date(weather.time[i]);
+            const dayName = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+            const day = this.getDayConditions(weather, i);
+            const { tempMax, tempMin, rain, rainChance, sunHours, wind } = day;
+            const isTripDay = this.isTripDay(weather.time[i]);
+
+            // Calculate daily score
+            const dailyScore = this.getDailyScoreForPoint(point, i);
+
+            // Get weather emoji
+            const weatherEmoji = this.getWeatherEmoji(rain, rainChance, sunHours, tempMax, tempMin);
+
+            // Create precipitation bar
+            const maxRain = 50; // mm - max for visualization
+            const rainBarWidth = Math.min((rain / maxRain) * 100, 100);
+
+            html += `
+                <div class="day-card ${isTripDay ? '' : 'off-trip'}" ${isTripDay ? '' : 'title="Outside your trip dates, not scored"'}>
+                    <div class="day-header">
+                        <h4>${dayName}</h4>
+                        <div class="day-score">
+                            <span class="weather-emoji">${weatherEmoji}</span>
+                            <span class="score-badge ${this.getScoreClass(dailyScore)}">${dailyScore}</span>
+                            ${this.formatConfidence(point.dailySpread[i])}
+                        </div>
+                    </div>
+                    <div class="weather-details">
+                        <p><span>🌡️ Temp:</span> <strong>${tempMin}°C - ${tempMax}°C</strong></p>
+                        <p><span>☀️ Sun:</span> <strong>${sunHours.toFixed(1)}h</strong></p>
+                        <div class="rain-detail">
+                            <p><span>🌧️ Rain:</span> <strong>${rain}mm${rainChance === null ? '' : ` (${rainChance}%)`}</strong></p>
+                            <div class="rain-bar-container">
+                                <div class="rain-bar" style="width: ${rainBarWidth}%"></div>
+                            </div>
+                        </div>
+                        <p><span>💨 Wind:</span> <strong>${wind} km/h</strong></p>
+                        ${this.generateExtraDetails(day)}
+                    </div>
+                    ${weather.hourly ? this.generateHourlyStrip(weather, i) : ''}
+                </div>
+            `;
+        }
+
+        html += '</div></div>';
+        return html;
+    }
+
+    generateExtraDetails(day) {
+        // Extra variables follow the optional columns chosen for the table
+        const extras = [
+            { column: 'windGusts', label: '🌬️ Gusts', value: day.gusts, unit: ' km/h' },
+            { column: 'uvIndex', label: '🔆 UV', value: day.uv, unit: '' },
+            { column: 'snowfall', label: '❄️ Snow', value: day.snowfall, unit: 'cm' },
+            { column: 'humidity', label: '💧 Humidity', value: day.humidity, unit: '%' },
+            { column: 'cloudCover', label: '☁️ Cloud', value: day.cloudCover, unit: '%' },
+            { column: 'feelsLike', label: '🤒 Feels like', value: day.feelsLike, unit: '°C' }
+        ];
+
+        return extras
+            .filter(extra => this.visibleColumns.includes(extra.column) && extra.value !== null)
+            .map(extra => `<p><span>${extra.label}:</span> <strong>${extra.value}${extra.unit}</strong></p>`)
+            .join('');
+    }
+
+    calculateDailyScore(day) {
+        // Same profile as overall score
+        return Math.round(this.scoreConditions(day));
+    }
+
+    getDayConditions(weather, dayIndex) {
+        // Per-day values from the provider-neutral daily arrays
+        const tempMax = weather.tempMax[dayIndex];
+        const tempMin = weather.tempMin[dayIndex];
+        const optional = (name) => weather[name] && weather[name][dayIndex] !== undefined ? weather[name][dayIndex] : null;
+
+        const day = {
+            tempMax: tempMax,
+            tempMin: tempMin,
+            avgTemp: tempMax === null || tempMin === null ? null : (tempMax + tempMin) / 2,
+            rain: optional('precipitation') || 0,
+            // A missing rain chance is left out of the score rather than read as a dry 0%
+            rainChance: optional('precipitationProbability'),
+            sunHours: (optional('sunshineDuration') || 0) / 3600,
+            wind: weather.windMax[dayIndex],
+            gusts: optional('gustMax'),
+            uv: optional('uvMax'),
+            snowfall: optional('snowfall'),
+            humidity: optional('humidity'),
+            cloudCover: optional('cloudCover'),
+            feelsLike: optional('feelsLikeMax'),
+            daylightHours: 12
+        };
+
+        // Restrict to the activity window when hourly values were fetched
+        // (variables without hourly values keep their daily figure)
+        if (weather.hourly && this.activityWindow) {
+            Object.entries(this.getWindowConditions(weather, dayIndex)).forEach(([key, value]) => {
+                if (value !== null) day[key] = value;
+            });
+        }
+
+        return day;
+    }
+
+    getWindowConditions(weather, dayIndex) {
+        const { start, end } = this.activityWindow;
+        const hours = this.getHourIndexes(weather, dayIndex, start, end);
+        const pick = (name) => (weather.hourly[name] || []).filter((v, h) => hours.includes(h) && v !== null && v !== undefined);
+
+        const temps = pick('temp');
+        const round = (value) => Math.round(value * 10) / 10;
+        const maxOrNull = (values) => values.length > 0 ? Math.max(...values) : null;
+        const meanOrNull = (values) => values.length > 0 ? round(this.average(values)) : null;
+
+        return {
+            tempMax: temps.length > 0 ? Math.max(...temps) : null,
+            tempMin: temps.length > 0 ? Math.min(...temps) : null,
+            avgTemp: temps.length > 0 ? round(this.average(temps)) : null,
+            rain: round(this.sum(pick('precipitation'))),
+            rainChance: maxOrNull(pick('precipitationProbability')),
+            sunHours: this.sum(pick('sunshineDuration')) / 3600,
+            wind: Math.max(0, ...pick('wind')),
+            gusts: maxOrNull(pick('gusts')),
+            uv: maxOrNull(pick('uv')),
+            snowfall: pick('snowfall').length > 0 ? round(this.sum(pick('snowfall'))) : null,
+            humidity: meanOrNull(pick('humidity')),
+            cloudCover: meanOrNull(pick('cloudCover')),
+            feelsLike: maxOrNull(pick('feelsLike')),
+            daylightHours: Math.min(12, end - start)
+        };
+    }
+
+    getHourIndexes(weather, dayIndex, start, end) {
+        // Hourly times are "YYYY-MM-DDTHH:MM" in local time. Days on which the clocks
+        // change have 23 or 25 entries, so hours are matched by their timestamp, not position
+        const prefix = `${weather.time[dayIndex]}T`;
+        const indexes = [];
+
+        weather.hourly.time.forEach((time, index) => {
+            if (!time.startsWith(prefix)) return;
+
+            const hour = parseInt(time.slice(prefix.length, prefix.length + 2));
+            if (hour >= start && hour < end) {
+                indexes.push(index);
+            }
+        });
+
+        return indexes;
+    }
+
+    generateHourlyStrip(weather, dayIndex) {
+        const cells = this.getHourIndexes(weather, dayIndex, 0, 24).map(index => {
+            const hour = parseInt(weather.hourly.time[index].split('T')[1]);
+            const hourValue = (name) => weather.hourly[name] ? weather.hourly[name][index] : null;
+            const rain = hourValue('precipitation') || 0;
+            const cloud = hourValue('cloudCover') || 0;
+            const temp = hourValue('temp');
+            const gusts = hourValue('gusts');
+            const sunshine = hourValue('sunshineDuration') || 0;
+
+            // Rain wins over cloud; clear hours are sunny by day and clear by night
+            let className = sunshine > 0 ? 'hour-sunny' : 'hour-clear';
+            if (rain >= 2) className = 'hour-rain-heavy';
+            else if (rain > 0) className = 'hour-rain';
+            else if (cloud >= 70) className = 'hour-cloudy';
+            else if (cloud >= 30) className = 'hour-partly';
+
+            const inWindow = this.activityWindow && hour >= this.activityWindow.start && hour < this.activityWindow.end;
+            const title = `${String(hour).padStart(2, '0')}:00 · ${temp}°C · ${rain}mm · ☁️ ${cloud}% · gusts ${gusts} km/h`;
+
+            return `<span class="hour-cell ${className} ${inWindow ? 'in-window' : ''}" title="${title}"></span>`;
+        }).join('');
+
+        return `
+            <div class="hourly-strip">${cells}</div>
+            <div class="hourly-axis"><span>0h</span><span>12h</span><span>24h</span></div>
+        `;
+    }
+
+    getDailyScoreForPoint(point, dayIndex) {
+        const weather = point.rawData;
+
+        // Beyond the forecast window there is nothing better than the average
+        if (!weather || dayIndex >= weather.time.length) {
+            return point.score;
+        }
+
+        // Optionally mark down days the models disagree on
+        const spread = point.dailySpread ? point.dailySpread[dayIndex] : null;
+        const penalty = (this.getActiveProfile().uncertaintyPenalty || 0) * (spread || 0);
+
+        return Math.round(Math.max(0, this.calculateDailyScore(this.getDayConditions(weather, dayIndex)) - penalty));
+    }
+
+    getWeatherEmoji(rain, rainChance, sunHours, tempMax, tempMin) {
+        // Snow (cold + precipitation)
+        if (tempMax <= 2 && (rain > 0 || rainChance > 30)) {
+            return '❄️';
+        }
+
+        // Heavy rain
+        if (rain > 10 || rainChance > 70) {
+            return '🌧️';
+        }
+
+        // Light rain or drizzle
+        if (rain > 2 || rainChance > 40) {
+            return '🌦️';
+        }
+
+        // Cloudy (less sun)
+        if (sunHours < 4) {
+            return '☁️';
+        }
+
+        // Partly cloudy
+        if (sunHours < 8) {
+            return '⛅';
+        }
+
+        // Sunny
+        return '☀️';
+    }
+
+    toggleDetailRow(index) {
+        const dataRow = document.querySelector(`tr.data-row[data-index="${index}"]`);
+        const detailRow = document.querySelector(`tr.detail-row[data-index="${index}"]`);
+
+        if (detailRow.style.display === 'none') {
+            detailRow.style.display = 'table-row';
+            dataRow.classList.add('expanded');
+        } else {
+            detailRow.style.display = 'none';
+            dataRow.classList.remove('expanded');
+        }
+    }
+
+    highlightMarker(index) {
+        const point = this.weatherData[index];
+
+        // Pan to marker and open popup
+        this.map.setView([point.lat, point.lon], 10);
+        this.markers[index].openPopup();
+
+        // Highlight table row
+        document.querySelectorAll('.data-row').forEach(row => {
+            row.classList.remove('selected');
+        });
+        document.querySelector(`.data-row[data-index="${index}"]`).classList.add('selected');
+
+        // Scroll to map
+        document.getElementById('mapContainer').scrollIntoView({
+            behavior: 'smooth',
+            block: 'center'
+        });
+    }
+
+    handleSort(column, addKey = false) {
+        // A click sorts by this column alone, Shift+click adds it as a further key;
+        // clicking a column that is already sorted on flips its direction.
+        // Only the display order changes: ranks and weatherData keep the weather ranking.
+        const existing = this.tableSort.find(key => key.column === column);
+        const onlyKey = existing && this.tableSort.length === 1;
+
+        if (existing && (addKey || onlyKey)) {
+            existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            const key = { column: column, direction: column === 'rank' || column === 'location' ? 'asc' : 'desc' };
+            this.tableSort = addKey ? [...this.tableSort, key] : [key];
+        }
+
+        // Redisplay (also refreshes the header indicators)
+        this.displayInTable();
+    }
+
+    // Table Filter Functions
+
+    getFilterableColumns() {
+        return this.getResultColumns().filter(col => !col.value);
+    }
+
+    addTableFilter() {
+        // Start with the most common wish: little chance of rain
+        this.tableFilters.push({ column: 'rainChance', operator: '<', value: 30, value2: null });
+        this.renderTableFilters();
+        this.applyTableFilters();
+    }
+
+    renderTableFilters() {
+        const container = document.getElementById('tableFilters');
+        const columns = this.getFilterableColumns();
+        const operators = [['<', 'below'], ['>', 'above'], ['between', 'between']];
+        const inputValue = value => value === null ? '' : value;
+
+        container.innerHTML = this.tableFilters.map((filter, index) => `
+            <div class="filter-row" data-index="${index}">
+                <select class="filter-column" aria-label="Filter column">
+                    ${columns.map(col => `<option value="${col.key}" ${col.key === filter.column ? 'selected' : ''}>${col.label}</option>`).join('')}
+                </select>
+                <select class="filter-operator" aria-label="Comparison">
+                    ${operators.map(([value, label]) => `<option value="${value}" ${value === filter.operator ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="number" class="filter-value" step="any" value="${inputValue(filter.value)}" aria-label="Value">
+                <span class="filter-and ${filter.operator === 'between' ? '' : 'hidden'}">and</span>
+                <input type="number" class="filter-value2 ${filter.operator === 'between' ? '' : 'hidden'}" step="any" value="${inputValue(filter.value2)}" aria-label="Upper value">
+                <button class="filter-remove" title="Remove filter">✕</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.filter-row').forEach(row => {
+            const filter = this.tableFilters[parseInt(row.dataset.index)];
+            const readNumber = input => input.value === '' ? null : parseFloat(input.value);
+
+            row.querySelector('.filter-column').addEventListener('change', (e) => {
+                filter.column = e.target.value;
+                this.applyTableFilters();
+            });
+            row.querySelector('.filter-operator').addEventListener('change', (e) => {
+                filter.operator = e.target.value;
+                this.renderTableFilters();
+                this.applyTableFilters();
+            });
+            row.querySelector('.filter-value').addEventListener('input', (e) => {
+                filter.value = readNumber(e.target);
+                this.applyTableFilters();
+            });
+            row.querySelector('.filter-value2').addEventListener('input', (e) => {
+                filter.value2 = readNumber(e.target);
+                this.applyTableFilters();
+            });
+            row.querySelector('.filter-remove').addEventListener('click', () => {
+                this.tableFilters.splice(this.tableFilters.indexOf(filter), 1);
+                this.renderTableFilters();
+                this.applyTableFilters();
+            });
+        });
+    }
+
+    passesTableFilters(point) {
+        // Filters with an empty value are ignored; missing data never passes an active filter
+        return this.tableFilters.every(({ column, operator, value, value2 }) => {
+            const v = point[column];
+
+            if (operator === 'between') {
+                if (value === null || value2 === null) return true;
+                if (v === null || v === undefined) return false;
+                return v >= Math.min(value, value2) && v <= Math.max(value, value2);
+            }
+
+            if (value === null) return true;
+            if (v === null || v === undefined) return false;
+            return operator === '<' ? v < value : v > value;
+        });
+    }
+
+    applyTableFilters() {
+        if (this.weatherData.length === 0) return;
+
+        this.displayInTable();
+
+        // Show and hide the existing markers rather than rebuilding them, so the map view stays put
+        this.weatherData.forEach((point, index) => {
+            const marker = this.markers[index];
+            if (!marker) return;
+
+            if (this.passesTableFilters(point)) {
+                marker.addTo(this.map);
+            } else {
+                this.map.removeLayer(marker);
+            }
+        });
+    }
+
+    updateFilterSummary(shownCount) {
+        const summary = document.getElementById('filterSummary');
+        const filtering = shownCount < this.weatherData.length;
+
+        summary.classList.toggle('hidden', !filtering);
+        // Filters only change the view; the heatmap, routes, comparison and exports use every spot
+        summary.textContent = `Showing ${shownCount} of ${this.weatherData.length} spots (view only)`;
+        summary.title = 'Filters hide table rows and map markers. The heatmap, route builder, comparison and exports still use every spot.';
+    }
+
+    // Comparison Functions
+
+    getComparedSpots() {
+        const spotsByKey = new Map(this.weatherData.map(p => [this.getPointKey(p), p]));
+        return this.comparedKeys.map(key => spotsByKey.get(key)).filter(point => point);
+    }
+
+    toggleCompared(point, checked) {
+        const key = this.getPointKey(point);
+        this.comparedKeys = checked
+            ? [...this.comparedKeys, key]
+            : this.comparedKeys.filter(k => k !== key);
+
+        this.updateCompareControls();
+
+        // An open panel follows the selection
+        if (!document.getElementById('comparisonPanel').classList.contains('hidden')) {
+            if (this.comparedKeys.length >= 2) {
+                this.renderComparison();
+            } else {
+                this.closeComparison();
+            }
+        }
+    }
+
+    updateCompareControls() {
+        // Between two and five spots can be compared
+        const count = this.comparedKeys.length;
+        const button = document.getElementById('compareBtn');
+
+        button.disabled = count < 2;
+        button.textContent = `⚖️ Compare (${count})`;
+
+        document.querySelectorAll('.compare-check').forEach(box => {
+            box.disabled = !box.checked && count >= 5;
+        });
+    }
+
+    refreshComparison() {
+        // Drop spots a new search no longer has and redraw an open panel with the current scores
+        const keys = new Set(this.weatherData.map(p => this.getPointKey(p)));
+        this.comparedKeys = this.comparedKeys.filter(key => keys.has(key));
+        this.updateCompareControls();
+
+        if (!document.getElementById('comparisonPanel').classList.contains('hidden')) {
+            if (this.comparedKeys.length >= 2) {
+                this.renderComparison();
+            } else {
+                this.closeComparison();
+            }
+        }
+    }
+
+    openComparison() {
+        const panel = document.getElementById('comparisonPanel');
+
+        this.renderComparison();
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    closeComparison() {
+        const panel = document.getElementById('comparisonPanel');
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        this.comparisonRequest++;
+    }
+
+    renderComparison() {
+        const panel = document.getElementById('comparisonPanel');
+        const spots = this.getComparedSpots();
+        const colors = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9'];
+        const labels = spots.map(p => `#${p.rank} ${p.name ? this.formatPlaceName(p) : `${p.lat.toFixed(2)}, ${p.lon.toFixed(2)}`}`);
+
+        // Spots from one search share their forecast days
+        const dayCount = Math.min(...spots.map(p => p.rawData.time.length));
+        const dates = spots[0].rawData.time.slice(0, dayCount);
+        const days = spots.map(p => dates.map((_, i) => this.getDayConditions(p.rawData, i)));
+        const series = (pick) => spots.map((p, s) => ({
+            label: labels[s],
+            color: colors[s],
+            values: days[s].map(pick)
+        }));
+
+        const dayLabels = dates.map(date => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+            weekday: 'short', day: 'numeric', timeZone: 'UTC'
+        }));
+        const offTrip = dates.map(date => !this.isTripDay(date));
+
+        const charts = [
+            { title: '🌡️ Temperature range', unit: '°C', type: 'range', series: series(day => [day.tempMin, day.tempMax]) },
+            { title: '🌧️ Rain', unit: 'mm', type: 'bar', series: series(day => day.rain) },
+            { title: '☀️ Sun', unit: 'h', type: 'line', series: series(day => Math.round(day.sunHours * 10) / 10) },
+            { title: '💨 Wind', unit: 'km/h', type: 'line', series: series(day => day.wind) }
+        ];
+
+        // Daily scores side by side, best of each day highlighted
+        const scoreRows = dates.map((date, i) => {
+            const scores = spots.map(p => this.getDailyScoreForPoint(p, i));
+            const best = Math.max(...scores);
+
+            return `
+                <tr class="${offTrip[i] ? 'off-trip' : ''}">
+                    <td>${dayLabels[i]}</td>
+                    ${scores.map(score => `<td><span class="score-badge ${this.getScoreClass(score)} ${score === best ? 'best' : ''}">${score}</span></td>`).join('')}
+                </tr>
+            `;
+        }).join('');
+
+        const header = labels.map((label, s) => `<th><span class="comparison-swatch" style="background: ${colors[s]}"></span>${label}</th>`).join('');
+
+        panel.innerHTML = `
+            <div class="comparison-panel-header">
+                <h3>⚖️ Comparing ${spots.length} spots</h3>
+                <button class="comparison-close" title="Close comparison">✕</button>
+            </div>
+            <div class="comparison-legend">
+                ${labels.map((label, s) => `<span><span class="comparison-swatch" style="background: ${colors[s]}"></span>${label} · score ${spots[s].score}</span>`).join('')}
+            </div>
+            <div class="comparison-charts">
+                ${charts.map(chart => `
+                    <div class="comparison-chart">
+                        <h4>${chart.title} <small>(${chart.unit})</small></h4>
+                        ${this.renderComparisonChart(chart, dayLabels, offTrip)}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="comparison-tables">
+                <div>
+                    <h4>Daily scores</h4>
+                    <table class="comparison-table">
+                        <thead><tr><th>Day</th>${header}</tr></thead>
+                        <tbody>${scoreRows}</tbody>
+                    </table>
+                </div>
+                <div>
+                    <h4>Distances</h4>
+                    <table class="comparison-table">
+                        <thead><tr><th></th>${header}</tr></thead>
+                        <tbody id="comparisonDistances">${this.renderComparisonDistances(spots, labels, colors, null)}</tbody>
+                    </table>
+                    <small>Road distance and drive time; straight-line distance on hover</small>
+                </div>
+            </div>
+        `;
+
+        panel.querySelector('.comparison-close').addEventListener('click', () => this.closeComparison());
+
+        // Road distances come from the routing service (or its cache) after the panel is drawn
+        const request = ++this.comparisonRequest;
+        this.getTravelMatrix(spots).then(matrix => {
+            if (request !== this.comparisonRequest) return;
+            document.getElementById('comparisonDistances').innerHTML = this.renderComparisonDistances(spots, labels, colors, matrix);
+        });
+    }
+
+    renderComparisonDistances(spots, labels, colors, matrix) {
+        return spots.map((from, i) => `
+            <tr>
+                <th><span class="comparison-swatch" style="background: ${colors[i]}"></span>${labels[i]}</th>
+                ${spots.map((to, j) => {
+                    if (i === j) return '<td>–</td>';
+
+                    const air = Math.round(this.calculateDistance(from.lat, from.lon, to.lat, to.lon));
+                    if (!matrix) return `<td title="${air} km straight line">…</td>`;
+
+                    const travel = this.lookupTravel(matrix, from, to);
+                    if (travel.distance === Infinity) return `<td title="${air} km straight line">no road</td>`;
+
+                    const hours = Math.floor(travel.duration / 60);
+                    const minutes = Math.round(travel.duration % 60);
+                    return `<td title="${air} km straight line">${Math.round(travel.distance)} km<br><small>${hours > 0 ? `${hours}h ` : ''}${minutes}m</small></td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+    }
+
+    renderComparisonChart(chart, dayLabels, offTrip) {
+        // One SVG per variable; all spots share its day and value axes so heights compare directly
+        const width = 640;
+        const height = 180;
+        const margin = { top: 10, right: 10, bottom: 24, left: 40 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const slot = plotWidth / dayLabels.length;
+
+        const values = chart.series.flatMap(s => s.values.flat()).filter(v => v !== null && v !== undefined);
+        const min = chart.type === 'range' ? Math.min(...values) : 0;
+        const max = Math.max(...values, min + 1);
+
+        // Round the axis out to a 1, 2 or 5 step
+        const rawStep = (max - min) / 4;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 5, 10].find(n => n * magnitude >= rawStep) * magnitude;
+        const low = Math.floor(min / step) * step;
+        const high = Math.max(Math.ceil(max / step) * step, low + step);
+
+        const format = v => Math.round(v * 10) / 10;
+        const y = v => format(margin.top + plotHeight - (v - low) / (high - low) * plotHeight);
+        const xCenter = i => format(margin.left + slot * (i + 0.5));
+
+        let svg = '';
+
+        // Days outside the trip are shaded
+        offTrip.forEach((off, i) => {
+            if (off) svg += `<rect x="${format(margin.left + slot * i)}" y="${margin.top}" width="${format(slot)}" height="${plotHeight}" class="chart-off-trip"></rect>`;
+        });
+
+        for (let v = low; v <= high + step / 2; v += step) {
+            svg += `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(v)}" y2="${y(v)}" class="chart-grid"></line>`;
+            svg += `<text x="${margin.left - 6}" y="${y(v) + 4}" class="chart-tick" text-anchor="end">${format(v)}</text>`;
+        }
+
+        dayLabels.forEach((label, i) => {
+            svg += `<text x="${xCenter(i)}" y="${height - 6}" class="chart-tick" text-anchor="middle">${label}</text>`;
+        });
+
+        const barGroup = slot * 0.8;
+        const barWidth = barGroup / chart.series.length;
+
+        chart.series.forEach((series, s) => {
+            if (chart.type === 'line') {
+                // Split the line where a value is missing
+                const segments = [[]];
+                series.values.forEach((v, i) => {
+                    if (v === null || v === undefined) {
+                        segments.push([]);
+                        return;
+                    }
+                    segments[segments.length - 1].push(`${xCenter(i)},${y(v)}`);
+                    svg += `<circle cx="${xCenter(i)}" cy="${y(v)}" r="3" fill="${series.color}"><title>${series.label}: ${format(v)} ${chart.unit}</title></circle>`;
+                });
+                segments.filter(points => points.length > 1).forEach(points => {
+                    svg += `<polyline points="${points.join(' ')}" fill="none" stroke="${series.color}" stroke-width="2"></polyline>`;
+                });
+                return;
+            }
+
+            series.values.forEach((v, i) => {
+                const [from, to] = chart.type === 'range' ? v : [0, v];
+                if (from === null || to === null || from === undefined || to === undefined) return;
+
+                const x = format(margin.left + slot * i + (slot - barGroup) / 2 + barWidth * s);
+                const top = y(Math.max(from, to));
+                const barHeight = format(Math.max(y(Math.min(from, to)) - top, 1));
+                const text = chart.type === 'range' ? `${format(from)} to ${format(to)}` : format(to);
+
+                svg += `<rect x="${x}" y="${top}" width="${format(Math.max(barWidth - 1, 1))}" height="${barHeight}" fill="${series.color}" rx="1"><title>${series.label}: ${text} ${chart.unit}</title></rect>`;
+            });
+        });
+
+        return `<svg viewBox="0 0 ${width} ${height}" class="comparison-svg" role="img" aria-label="${chart.title}">${svg}</svg>`;
+    }
+
+    getColorForScore(score) {
+        // Red-Yellow-Green gradient
+        if (score >= 90) return '#059669'; // Excellent - Dark Green
+        if (score >= 70) return '#84cc16'; // Good - Yellow-Green (Lime)
+        if (score >= 50) return '#eab308'; // Fair - Yellow
+        return '#dc2626'; // Poor - Red
+    }
+
+    getScoreClass(score) {
+        if (score >= 90) return 'score-excellent';
+        if (score >= 70) return 'score-good';
+        if (score >= 50) return 'score-fair';
+        return 'score-poor';
+    }
+
+    updateLoadingProgress(done, total, label) {
+        const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+
+        document.getElementById('loadingProgress').classList.remove('hidden');
+        document.getElementById('loadingProgressFill').style.width = `${percent}%`;
+        document.getElementById('loadingText').textContent = `${label}... ${done}/${total}`;
+    }
+
+    showLoading(show) {
+        const loading = document.getElementById('loadingIndicator');
+        const searchBtn = document.getElementById('searchBtn');
+
+        if (show) {
+            // Progress appears only once a step reports it
+            document.getElementById('loadingProgress').classList.add('hidden');
+            document.getElementById('loadingText').textContent = 'Analyzing weather patterns...';
+            loading.classList.remove('hidden');
+            searchBtn.disabled = true;
+        } else {
+            loading.classList.add('hidden');
+            searchBtn.disabled = false;
+        }
+    }
+
+    // Activity Window Functions
+
+    initActivityWindowControls() {
+        const startSelect = document.getElementById('windowStart');
+        const endSelect = document.getElementById('windowEnd');
+        const label = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+        for (let hour = 0; hour < 24; hour++) {
+            startSelect.add(new Option(label(hour), hour, false, hour === 9));
+            endSelect.add(new Option(label(hour + 1), hour + 1, false, hour + 1 === 18));
+        }
+
+        const hourlyCheckbox = document.getElementById('hourlyMode');
+        const toggleWindowControls = () => {
+            document.getElementById('activityWindowGroup').classList.toggle('disabled', !hourlyCheckbox.checked);
+        };
+        hourlyCheckbox.addEventListener('change', toggleWindowControls);
+        toggleWindowControls();
+
+        // A new window only needs re-scoring, not refetching
+        [startSelect, endSelect].forEach(select => {
+            select.addEventListener('change', () => {
+                this.updateActivityWindow();
+                this.rescoreResults();
+            });
+        });
+    }
+
+    updateActivityWindow() {
+        const start = parseInt(document.getElementById('windowStart').value);
+        const end = parseInt(document.getElementById('windowEnd').value);
+
+        if (!this.hourlyMode) {
+            this.activityWindow = null;
+        } else if (end <= start) {
+            // An empty or inverted window would leave nothing to score
+            this.activityWindow = { start: 0, end: 24 };
+        } else {
+            this.activityWindow = { start, end };
+        }
+    }
+
+    formatActivityWindow() {
+        const { start, end } = this.activityWindow;
+        return `${String(start).padStart(2, '0')}:00–${String(end).padStart(2, '0')}:00`;
+    }
+
+    // Trip Date Functions
+
+    initDayFilterControls() {
+        const startInput = document.getElementById('tripStart');
+        const endInput = document.getElementById('tripEnd');
+
+        // Forecasts reach 14 days ahead
+        const today = new Date();
+        const lastDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 13);
+        [startInput, endInput].forEach(input => {
+            input.min = this.formatIsoDate(today);
+            input.max = this.formatIsoDate(lastDay);
+        });
+
+        document.getElementById('weekdayPresets').addEventListener('click', (e) => {
+            if (!e.target.dataset.weekdays) return;
+
+            const weekdays = e.target.dataset.weekdays.split(',');
+            document.querySelectorAll('#weekdayFilter input').forEach(checkbox => {
+                checkbox.checked = weekdays.includes(checkbox.value);
+            });
+            this.updateDayFilter();
+            this.rescoreResults();
+        });
+
+        // Like the activity window, other trip days only need re-scoring
+        [startInput, endInput, ...document.querySelectorAll('#weekdayFilter input')].forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateDayFilter();
+                this.rescoreResults();
+            });
+        });
+    }
+
+    updateDayFilter() {
+        const weekdays = [...document.querySelectorAll('#weekdayFilter input:checked')].map(checkbox => parseInt(checkbox.value));
+
+        this.dayFilter = {
+            start: document.getElementById('tripStart').value || null,
+            end: document.getElementById('tripEnd').value || null,
+            // No weekday ticked would leave nothing to score
+            weekdays: weekdays.length > 0 ? weekdays : [0, 1, 2, 3, 4, 5, 6]
+        };
+    }
+
+    isTripDay(date) {
+        // Forecast dates are "YYYY-MM-DD" in the location's time zone, so plain string comparison works
+        const { start, end, weekdays } = this.dayFilter;
+        if (start && date < start) return false;
+        if (end && date > end) return false;
+
+        return weekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+    }
+
+    getTripDayIndexes(weather) {
+        return weather.time.map((_, i) => i).filter(i => this.isTripDay(weather.time[i]));
+    }
+
+    getForecastDayCount() {
+        // Fetch far enough ahead to reach the end of the trip
+        const { start, end } = this.dayFilter;
+        const daysInput = document.getElementById('days');
+        let days = parseInt(daysInput.value);
+
+        if (start && end && start > end) {
+            alert('The trip start date is after its end date');
+            return null;
+        }
+
+        const lastDate = end || start;
+        if (lastDate) {
+            const today = new Date();
+            const todayUtc = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+            const offset = Math.round((new Date(`${lastDate}T00:00:00Z`).getTime() - todayUtc) / (24 * 60 * 60 * 1000));
+
+            if (offset < 0) {
+                alert('The trip dates are in the past');
+                return null;
+            }
+            if (offset > 13) {
+                alert('Forecasts only reach 14 days ahead. Choose trip dates within the next two weeks.');
+                return null;
+            }
+
+            if (end || offset + 1 > days) {
+                days = offset + 1;
+                daysInput.value = days;
+            }
+        }
+
+        return days;
+    }
+
+    formatIsoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    formatDayFilter() {
+        // Short description for notes, e.g. "Oct 24 – Oct 26, Fri–Sun"
+        const { start, end, weekdays } = this.dayFilter;
+        const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const parts = [];
+
+        if (start || end) {
+            parts.push(`${start ? formatDate(start) : 'today'} – ${end ? formatDate(end) : 'end of forecast'}`);
+        }
+        if (weekdays.length < 7) {
+            parts.push([1, 2, 3, 4, 5, 6, 0].filter(d => weekdays.includes(d)).map(d => dayNames[d]).join(', '));
+        }
+
+        return parts.join(', ');
+    }
+
+    // Shareable URL State Functions
+
+    updateUrlState() {
+        history.replaceState(null, '', `${location.pathname}?${this.getStateParams().toString()}`);
+    }
+
+    getStateParams() {
+        // Everything needed to repeat this search (and route) as query parameters
+        const params = new URLSearchParams();
+        params.set('m', this.searchMode);
+        params.set('d', document.getElementById('days').value);
+
+        if (this.searchMode === 'location') {
+            params.set('q', document.getElementById('location').value.trim());
+            params.set('r', document.getElementById('radius').value);
+            params.set('g', document.getElementById('gridSize').value);
+        } else if (this.searchMode === 'draw' && this.drawnShape) {
+            params.set('dg', document.getElementById('drawGridSize').value);
+            params.set('s', this.encodePolyline(this.drawnShape.getLatLngs()[0].map(ll => [ll.lat, ll.lng])));
+        } else if (this.searchMode === 'places') {
+            params.set('pl', this.encodePolyline(this.manualPlaces.map(p => [p.lat, p.lon])));
+            params.set('pn', this.manualPlaces.map(p => p.name.replace(/\|/g, ' ')).join('|'));
+        }
+
+        if (this.activityWindow) {
+            params.set('w', `${this.activityWindow.start}-${this.activityWindow.end}`);
+        }
+
+        const { start, end, weekdays } = this.dayFilter;
+        if (start) params.set('ds', start);
+        if (end) params.set('de', end);
+        if (weekdays.length < 7) params.set('wd', weekdays.join(','));
+
+        const waterFilter = document.getElementById('waterFilter').value;
+        if (waterFilter !== 'keep') params.set('wf', waterFilter);
+        const destinationType = document.getElementById('destinationSnap').value;
+        if (destinationType !== 'off') params.set('dt', destinationType);
+        const minElevation = document.getElementById('minElevation').value;
+        const maxElevation = document.getElementById('maxElevation').value;
+        if (minElevation || maxElevation) params.set('el', `${minElevation},${maxElevation}`);
+
+        if (document.getElementById('refineGrid').checked) {
+            params.set('rf', document.getElementById('requestBudget').value);
+        }
+
+        // A self-hosted server address stays private; recipients use their own
+        if (this.weatherProviderId !== 'open-meteo') {
+            params.set('wp', this.weatherProviderId);
+        }
+        if (this.getWeatherProvider().supportsModels && this.weatherModel !== 'best_match') {
+            params.set('wm', this.weatherModel);
+        }
+
+        // Custom profiles only exist in this browser, so they travel in full
+        const profile = this.getActiveProfile();
+        params.set('p', profile.id);
+        if (!profile.builtIn) {
+            const { name, weights, tempOptimum, tempTolerance, windOptimum, uncertaintyPenalty } = profile;
+            params.set('pf', JSON.stringify({ name, weights, tempOptimum, tempTolerance, windOptimum, uncertaintyPenalty }));
+        }
+
+        if (this.currentRoute && this.routeSettings) {
+            const { maxTravelPerDay, strategy, travelCost, startPoint } = this.routeSettings;
+            params.set('rt', strategy);
+            params.set('mt', maxTravelPerDay);
+            params.set('tc', travelCost);
+            if (startPoint) {
+                params.set(startPoint.isOrigin ? 'ro' : 'rs', `${startPoint.lat.toFixed(5)},${startPoint.lon.toFixed(5)}`);
+            }
+        }
+
+        return params;
+    }
+
+    async restoreStateFromUrl() {
+        const params = new URLSearchParams(location.search);
+        if (!params.has('m')) return;
+
+        this.applyStateParams(params);
+        await this.handleSearch();
+
+        if (params.has('rt') && this.weatherData.length >= 2) {
+            this.applyRouteParams(params);
+            await this.buildRoute();
+        }
+    }
+
+    applyStateParams(params) {
+        // Fill the search inputs from saved parameters without running the search
+        const setValue = (id, key) => {
+            if (params.has(key)) document.getElementById(id).value = params.get(key);
+        };
+
+        setValue('days', 'd');
+        setValue('location', 'q');
+        setValue('radius', 'r');
+        setValue('gridSize', 'g');
+        setValue('drawGridSize', 'dg');
+
+        if (params.has('w')) {
+            const [start, end] = params.get('w').split('-');
+            const hourlyCheckbox = document.getElementById('hourlyMode');
+            hourlyCheckbox.checked = true;
+            hourlyCheckbox.dispatchEvent(new Event('change'));
+            document.getElementById('windowStart').value = start;
+            document.getElementById('windowEnd').value = end;
+        }
+
+        document.getElementById('waterFilter').value = params.get('wf') || 'keep';
+        document.getElementById('destinationSnap').value = params.get('dt') || 'off';
+        document.getElementById('refineGrid').checked = params.has('rf');
+        if (params.has('rf')) document.getElementById('requestBudget').value = params.get('rf');
+        const [minElevation, maxElevation] = (params.get('el') || ',').split(',');
+        document.getElementById('minElevation').value = minElevation;
+        document.getElementById('maxElevation').value = maxElevation;
+
+        document.getElementById('tripStart').value = params.get('ds') || '';
+        document.getElementById('tripEnd').value = params.get('de') || '';
+        const weekdays = (params.get('wd') || '0,1,2,3,4,5,6').split(',');
+        document.querySelectorAll('#weekdayFilter input').forEach(checkbox => {
+            checkbox.checked = weekdays.includes(checkbox.value);
+        });
+        this.updateDayFilter();
+
+        this.selectWeatherProvider(params.get('wp') || 'open-meteo');
+        this.selectWeatherModel(params.get('wm') || 'best_match');
+
+        const profileId = params.get('p');
+        if (profileId && !this.scoringProfiles.some(p => p.id === profileId) && params.has('pf')) {
+            try {
+                const profile = this.sanitizeScoringProfile({ ...JSON.parse(params.get('pf')), id: profileId, builtIn: false });
+                if (!profile) throw new Error('missing or non-numeric settings');
+                this.scoringProfiles.push(profile);
+            } catch (error) {
+                console.warn('Ignoring unreadable shared profile:', error);
+            }
+        }
+        if (this.scoringProfiles.some(p => p.id === profileId)) {
+            this.activeProfileId = profileId;
+            this.saveScoringProfiles();
+            this.renderScoringEditor();
+        }
+
+        if (params.has('s')) {
+            this.drawnItems.clearLayers();
+            this.drawnShape = L.polygon(this.decodePolyline(params.get('s')));
+            this.drawnItems.addLayer(this.drawnShape);
+        }
+
+        if (params.has('pl')) {
+            const names = (params.get('pn') || '').split('|');
+            this.manualPlaces = this.decodePolyline(params.get('pl')).map(([lat, lon], index) => ({
+                name: names[index] || `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
+                lat: lat,
+                lon: lon
+            }));
+            this.updatePlacesList();
+        }
+
+        const mode = params.get('m');
+        this.switchMode(['location', 'draw', 'places'].includes(mode) ? mode : 'location');
+    }
+
+    applyRouteParams(params) {
+        const setValue = (id, key) => {
+            if (params.has(key)) document.getElementById(id).value = params.get(key);
+        };
+
+        setValue('maxTravelPerDay', 'mt');
+        setValue('travelCost', 'tc');
+        setValue('routeStrategy', 'rt');
+
+        // A route that left from a device position keeps that position, not the viewer's.
+        // It is offered as a start of its own so it never stands in for this device's location.
+        this.sharedOrigin = null;
+        if (params.has('ro')) {
+            const [lat, lon] = params.get('ro').split(',').map(parseFloat);
+            this.sharedOrigin = { lat: lat, lon: lon, label: `${lat.toFixed(4)}, ${lon.toFixed(4)}` };
+        }
+        this.populateStartLocationDropdown();
+
+        // The start point is stored by coordinates since ranks change with the forecast
+        const startIndex = this.weatherData.findIndex(p =>
+            `${p.lat.toFixed(5)},${p.lon.toFixed(5)}` === params.get('rs')
+        );
+        document.getElementById('startLocation').value = this.sharedOrigin ? 'shared' : (startIndex >= 0 ? startIndex : '');
+    }
+
+    async copyShareLink(button) {
+        this.updateUrlState();
+
+        try {
+            await navigator.clipboard.writeText(location.href);
+            const label = button.textContent;
+            button.textContent = '✅ Link Copied';
+            setTimeout(() => {
+                button.textContent = label;
+            }, 2000);
+        } catch (error) {
+            // Clipboard access can be blocked (e.g. on file:// pages)
+            prompt('Copy this link to share your search:', location.href);
+        }
+    }
+
+    encodePolyline(coords) {
+        // Google's encoded polyline algorithm with 5 decimal places
+        const encodeValue = (value) => {
+            let remaining = value < 0 ? ~(value << 1) : (value << 1);
+            let encoded = '';
+
+            while (remaining >= 0x20) {
+                encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+                remaining >>= 5;
+            }
+
+            return encoded + String.fromCharCode(remaining + 63);
+        };
+
+        let lastLat = 0;
+        let lastLon = 0;
+        let result = '';
+
+        for (const [lat, lon] of coords) {
+            const latE5 = Math.round(lat * 1e5);
+            const lonE5 = Math.round(lon * 1e5);
+            result += encodeValue(latE5 - lastLat) + encodeValue(lonE5 - lastLon);
+            lastLat = latE5;
+            lastLon = lonE5;
+        }
+
+        return result;
+    }
+
+    decodePolyline(encoded) {
+        const coords = [];
+        let index = 0;
+        let lat = 0;
+        let lon = 0;
+
+        const decodeValue = () => {
+            let result = 0;
+            let shift = 0;
+            let byte;
+
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+
+            return (result & 1) ? ~(result >> 1) : (result >> 1);
+        };
+
+        while (index < encoded.length) {
+            lat += decodeValue();
+            lon += decodeValue();
+            coords.push([lat / 1e5, lon / 1e5]);
+        }
+
+        return coords;
+    }
+
+    renderForecastAgeBanner() {
+        // Forecasts answered from the offline cache carry the time they were fetched
+        const banners = document.querySelectorAll('.forecast-age-banner');
+        const cachedTimes = this.fetchedWeather
+            .filter(point => point.weather && point.weather.cachedAt)
+            .map(point => point.weather.cachedAt)
+            .sort();
+
+        if (cachedTimes.length === 0) {
+            banners.forEach(banner => banner.classList.add('hidden'));
+            return;
+        }
+
+        const formatTime = (iso) => new Date(iso).toLocaleString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        const liveCount = this.fetchedWeather.filter(point => point.weather && !point.weather.cachedAt).length;
+
+        const message = `
+            📴 <strong>Offline</strong> — forecast from ${formatTime(cachedTimes[0])}
+            ${cachedTimes.length > 1 && cachedTimes[0] !== cachedTimes[cachedTimes.length - 1]
+                ? ` to ${formatTime(cachedTimes[cachedTimes.length - 1])}` : ''}
+            (${cachedTimes.length} cached spot${cachedTimes.length === 1 ? '' : 's'}${liveCount > 0 ? `, ${liveCount} live` : ''}).
+            Search again when you're back online for an up-to-date forecast.
+        `;
+
+        // Shown above both the results and the itinerary
+        banners.forEach(banner => {
+            banner.innerHTML = message;
+            banner.classList.remove('hidden');
+        });
+    }
+
+    // Export Functions
+
+    handleExport(type) {
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        switch (type) {
+            case 'results-csv':
+                this.downloadFile(`weather-spots-${stamp}.csv`, this.buildResultsCsv(), 'text/csv');
+                break;
+            case 'results-geojson':
+                this.downloadFile(`weather-spots-${stamp}.geojson`,
+                    JSON.stringify(this.buildSpotsGeoJson(), null, 2), 'application/geo+json');
+                break;
+            case 'route-geojson':
+                this.downloadFile(`weather-route-${stamp}.geojson`,
+                    JSON.stringify(this.buildRouteGeoJson(this.currentRoute), null, 2), 'application/geo+json');
+                break;
+            case 'route-gpx':
+                this.downloadFile(`weather-route-${stamp}.gpx`, this.buildRouteGpx(this.currentRoute), 'application/gpx+xml');
+                break;
+        }
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getExportMetrics() {
+        // Same metric keys the table uses, in table order
+        return [
+            ['avgTemp', 'avg_temp_c'],
+            ['sunHours', 'sun_hours_per_day'],
+            ['rainAmount', 'rain_total_mm'],
+            ['rainChance', 'rain_chance_pct'],
+            ['windSpeed', 'wind_kmh'],
+            ['windGusts', 'wind_gusts_kmh'],
+            ['uvIndex', 'uv_index'],
+            ['snowfall', 'snowfall_total_cm'],
+            ['humidity', 'humidity_pct'],
+            ['cloudCover', 'cloud_cover_pct'],
+            ['feelsLike', 'feels_like_c'],
+            ['scoreSpread', 'score_spread']
+        ];
+    }
+
+    getDailyScores(point) {
+        return point.rawData.time.map((date, i) => ({
+            date: date,
+            score: Math.round(this.calculateDailyScore(this.getDayConditions(point.rawData, i)) * 10) / 10
+        }));
+    }
+
+    buildResultsCsv() {
+        const metrics = this.getExportMetrics();
+        const dates = this.weatherData[0].rawData.time;
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            let text = String(value);
+
+            // Spreadsheets run cells starting with these as formulas; negative numbers stay numbers
+            if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const header = ['rank', 'name', 'lat', 'lon', 'score', ...metrics.map(([, label]) => label), ...dates.map(d => `score_${d}`)];
+
+        const rows = [...this.weatherData]
+            .sort((a, b) => a.rank - b.rank)
+            .map(point => {
+                const dailyScores = this.getDailyScores(point).map(d => d.score);
+                return [
+                    point.rank,
+                    point.name,
+                    point.lat.toFixed(5),
+                    point.lon.toFixed(5),
+                    point.score,
+                    ...metrics.map(([key]) => point[key]),
+                    ...dailyScores
+                ];
+            });
+
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    buildSpotProperties(point) {
+        const properties = { rank: point.rank, score: point.score };
+        if (point.name) properties.name = point.name;
+        if (point.refined) properties.refined = true;
+
+        this.getExportMetrics().forEach(([key, label]) => {
+            if (point[key] !== null && point[key] !== undefined) properties[label] = point[key];
+        });
+        properties.daily_scores = this.getDailyScores(point);
+
+        return properties;
+    }
+
+    buildSpotsGeoJson() {
+        return {
+            type: 'FeatureCollection',
+            features: this.weatherData.map(point => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+                properties: this.buildSpotProperties(point)
+            }))
+        };
+    }
+
+    buildRouteGeoJson(route) {
+        const stopFeatures = route.map(stop => {
+            const conditions = this.getStopConditions(stop);
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [stop.location.lon, stop.location.lat] },
+                properties: {
+                    day: stop.day,
+                    date: stop.date,
+                    stayed: stop.stayed,
+                    distance_km: stop.distance,
+                    drive_time_min: stop.driveTime,
+                    daily_score: stop.dailyScore,
+                    temp_max_c: conditions.tempMax,
+                    temp_min_c: conditions.tempMin,
+                    rain_mm: conditions.rain,
+                    rain_chance_pct: conditions.rainChance,
+                    sun_hours: Math.round(conditions.sunHours * 10) / 10,
+                    wind_kmh: conditions.wind,
+                    spot: this.buildSpotProperties(stop.location)
+                }
+            };
+        });
+
+        const summary = this.summarizeRoute(route, this.routeTravelCost || 0);
+
+        return {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: route.map(stop => [stop.location.lon, stop.location.lat])
+                    },
+                    properties: {
+                        days: route.length,
+                        total_distance_km: summary.totalDistance,
+                        avg_score: Math.round(summary.avgScore * 10) / 10
+                    }
+                },
+                ...stopFeatures
+            ]
+        };
+    }
+
+    buildRouteGpx(route) {
+        const escapeXml = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const points = route.map(stop => {
+            const conditions = this.getStopConditions(stop);
+            const name = `Day ${stop.day}${stop.location.name ? ` – ${stop.location.name}` : ''}`;
+            const description = `${stop.date}: score ${stop.dailyScore}, ` +
+                `${conditions.tempMin}–${conditions.tempMax}°C, ${conditions.rain} mm rain${conditions.rainChance === null ? '' : ` (${conditions.rainChance}%)`}, ` +
+                `${conditions.sunHours.toFixed(1)} h sun, wind ${conditions.wind} km/h`;
+
+            return { lat: stop.location.lat.toFixed(6), lon: stop.location.lon.toFixed(6), name, description };
+        });
+
+        const waypoints = points.map(p => `  <wpt lat="${p.lat}" lon="${p.lon}">
+    <name>${escapeXml(p.name)}</name>
+    <desc>${escapeXml(p.description)}</desc>
+  </wpt>`).join('\n');
+
+        const routePoints = points.map(p => `    <rtept lat="${p.lat}" lon="${p.lon}">
+      <name>${escapeXml(p.name)}</name>
+    </rtept>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Weather Chaser" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Weather Chaser route</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${waypoints}
+  <rte>
+    <name>Weather Chaser route</name>
+${routePoints}
+  </rte>
+</gpx>
+`;
+    }
+
+    // Saved Trip Functions
+
+    async saveCurrentTrip() {
+        if (this.fetchedWeather.length === 0) {
+            alert('Run a search first, then save it as a trip');
+            return;
+        }
+
+        const suggestedName = (this.searchMode === 'location' && document.getElementById('location').value.trim()) ||
+            `Trip ${new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+        const name = prompt('Name this trip:', suggestedName);
+        if (!name || !name.trim()) return;
+
+        const now = new Date().toISOString();
+        const trip = {
+            id: `trip-${Date.now()}`,
+            name: name.trim(),
+            savedAt: now,
+            updatedAt: now,
+            state: this.getStateParams().toString(),
+            forecast: this.fetchedWeather,
+            scores: this.weatherData.map(p => ({ lat: p.lat, lon: p.lon, score: p.score })),
+            route: this.currentRoute ? {
+                key: Object.keys(this.routeAlternatives).find(k => this.routeAlternatives[k] === this.currentRoute),
+                settings: this.routeSettings,
+                stops: this.currentRoute.map(stop => ({
+                    day: stop.day,
+                    dayIndex: stop.dayIndex,
+                    date: stop.date,
+                    lat: stop.location.lat,
+                    lon: stop.location.lon,
+                    distance: stop.distance,
+                    driveTime: stop.driveTime,
+                    dailyScore: stop.dailyScore,
+                    stayed: stop.stayed
+                }))
+            } : null
+        };
+
+        try {
+            await this.dbPutMany('trips', [[trip.id, trip]]);
+            await this.renderTripsList();
+            document.getElementById('tripsPanel').open = true;
+        } catch (error) {
+            console.error('Could not save trip:', error);
+            alert('Could not save trip: ' + error.message);
+        }
+    }
+
+    async renderTripsList() {
+        const list = document.getElementById('tripsList');
+        let trips = [];
+
+        try {
+            trips = await this.dbGetAll('trips');
+        } catch (error) {
+            console.warn('Saved trips unavailable:', error);
+            list.innerHTML = '<p class="empty-state">Saved trips are not available in this browser.</p>';
+            return;
+        }
+
+        document.getElementById('tripsCount').textContent = trips.length;
+
+        if (trips.length === 0) {
+            list.innerHTML = '<p class="empty-state">No saved trips yet. Run a search and save it here.</p>';
+            return;
+        }
+
+        trips.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        const modeLabels = { location: '📍 Location', draw: '✏️ Area', places: '🏙️ Places' };
+
+        list.innerHTML = trips.map(trip => {
+            const mode = new URLSearchParams(trip.state).get('m');
+            const savedAt = new Date(trip.savedAt).toLocaleString('en-US', {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+
+            return `
+                <div class="trip-item">
+                    <div class="trip-info">
+                        <div class="trip-name">${this.escapeHtml(trip.name)}</div>
+                        <div class="trip-meta">
+                            ${modeLabels[mode] || mode} · ${trip.scores.length} spots
+                            ${trip.route ? ` · 🚐 ${trip.route.stops.length}-day route` : ''}
+                            · forecast from ${savedAt}
+                        </div>
+                    </div>
+                    <div class="trip-actions">
+                        <button class="trip-btn primary" onclick="app.openTrip('${trip.id}')">Open</button>
+                        <button class="trip-btn" onclick="app.renameTrip('${trip.id}')">Rename</button>
+                        <button class="trip-btn" onclick="app.duplicateTrip('${trip.id}')">Duplicate</button>
+                        <button class="trip-btn danger" onclick="app.deleteTrip('${trip.id}')">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async getTrip(id) {
+        const [trip] = await this.dbGetMany('trips', [id]);
+        if (!trip) throw new Error('This trip no longer exists');
+        return trip;
+    }
+
+    async renameTrip(id) {
+        try {
+            const trip = await this.getTrip(id);
+            const name = prompt('Rename trip:', trip.name);
+            if (!name || !name.trim()) return;
+
+            trip.name = name.trim();
+            trip.updatedAt = new Date().toISOString();
+            await this.dbPutMany('trips', [[trip.id, trip]]);
+            await this.renderTripsList();
+        } catch (error) {
+            console.error('Could not rename trip:', error);
+            alert('Could not rename trip: ' + error.message);
+        }
+    }
+
+    async duplicateTrip(id) {
+        try {
+            const trip = await this.getTrip(id);
+            const copy = {
+                ...trip,
+                id: `trip-${Date.now()}`,
+                name: `${trip.name} (copy)`,
+                updatedAt: new Date().toISOString()
+            };
+
+            await this.dbPutMany('trips', [[copy.id, copy]]);
+            await this.renderTripsList();
+        } catch (error) {
+            console.error('Could not duplicate trip:', error);
+            alert('Could not duplicate trip: ' + error.message);
+        }
+    }
+
+    async deleteTrip(id) {
+        try {
+            const trip = await this.getTrip(id);
+            if (!confirm(`Delete the saved trip "${trip.name}"?`)) return;
+
+            await this.dbDelete('trips', id);
+            await this.renderTripsList();
+
+            if (this.openedTrip && this.openedTrip.id === id) {
+                this.openedTrip = null;
+                document.getElementById('tripBanner').classList.add('hidden');
+            }
+        } catch (error) {
+            console.error('Could not delete trip:', error);
+            alert('Could not delete trip: ' + error.message);
+        }
+    }
+
+    async openTrip(id) {
+        try {
+            const trip = await this.getTrip(id);
+            const params = new URLSearchParams(trip.state);
+
+            // Restore the inputs and the saved forecast snapshot
+            this.applyStateParams(params);
+
+            // Saved trips keep the radius but not the geocoded center; the grid is laid out around it
+            const tripBounds = L.latLngBounds(trip.forecast.map(p => [p.lat, p.lon]));
+            this.searchCenter = params.get('m') === 'location' && tripBounds.isValid()
+                ? { lat: tripBounds.getCenter().lat, lon: tripBounds.getCenter().lng, radius: parseInt(document.getElementById('radius').value) }
+                : null;
+            this.sharedOrigin = null;
+            this.timelineDay = null;
+            this.stopTimelinePlayback();
+            this.hourlyMode = document.getElementById('hourlyMode').checked;
+            this.updateActivityWindow();
+
+            this.fetchedWeather = trip.forecast;
+            this.weatherData = this.calculateScores(this.fetchedWeather);
+            this.clearRoute();
+            this.displayResults();
+
+            if (trip.route) {
+                const route = this.restoreSavedRoute(trip.route.stops);
+
+                if (route.length > 0) {
+                    this.applyRouteParams(params);
+                    this.routeAlternatives = { [trip.route.key]: route };
+                    this.routeTravelCost = trip.route.settings.travelCost;
+                    this.routeSettings = trip.route.settings;
+                    this.showRouteAlternative(trip.route.key);
+                }
+            }
+
+            this.openedTrip = trip;
+            this.updateUrlState();
+            this.renderForecastAgeBanner();
+            this.renderTripBanner(trip);
+        } catch (error) {
+            console.error('Could not open trip:', error);
+            alert('Could not open trip: ' + error.message);
+        }
+    }
+
+    restoreSavedRoute(stops) {
+        // Reconnect saved stops to the re-scored spots by their coordinates
+        const spotsByKey = new Map(this.weatherData.map(p => [this.getPointKey(p), p]));
+
+        return stops
+            .filter(stop => spotsByKey.has(this.getPointKey(stop)))
+            .map(stop => {
+                const location = spotsByKey.get(this.getPointKey(stop));
+                return {
+                    ...stop,
+                    location: location,
+                    weather: location.rawData,
+                    dailyScore: this.getDailyScoreForPoint(location, stop.dayIndex)
+                };
+            });
+    }
+
+    renderTripBanner(trip, changes = null) {
+        const banner = document.getElementById('tripBanner');
+        const savedAt = new Date(trip.savedAt).toLocaleString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+
+        if (!changes) {
+            banner.innerHTML = `
+                <span>🧳 <strong>${this.escapeHtml(trip.name)}</strong> — showing the forecast saved on ${savedAt}.</span>
+                <button class="trip-btn primary" onclick="app.refreshOpenedTrip()">🔄 Refresh Forecast</button>
+            `;
+        } else {
+            const formatChange = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+            const spotChanges = changes.spots
+                .slice(0, 3)
+                .map(c => `<li>#${c.rank} (${c.lat.toFixed(2)}, ${c.lon.toFixed(2)}): ${c.before} → ${c.after} (${formatChange(c.after - c.before)})</li>`)
+                .join('');
+
+            banner.innerHTML = `
+                <div>
+                    <p>🧳 <strong>${this.escapeHtml(trip.name)}</strong> — forecast refreshed. Compared with ${savedAt}:</p>
+                    <p>Average spot score: ${changes.avgBefore.toFixed(1)} → ${changes.avgAfter.toFixed(1)} (${formatChange(changes.avgAfter - changes.avgBefore)})</p>
+                    ${changes.routeBefore !== null && changes.routeAfter !== null ? `
+                        <p>Route average day score: ${changes.routeBefore.toFixed(1)} → ${changes.routeAfter.toFixed(1)} (${formatChange(changes.routeAfter - changes.routeBefore)})</p>
+                    ` : ''}
+                    ${spotChanges ? `<p>Biggest changes:</p><ul>${spotChanges}</ul>` : ''}
+                </div>
+            `;
+        }
+
+        banner.classList.remove('hidden');
+    }
+
+    async refreshOpenedTrip() {
+        const trip = this.openedTrip;
+        if (!trip) return;
+
+        try {
+            const snapshot = this.fetchedWeather;
+            await this.handleSearch();
+
+            // The search reports its own errors; keep the saved view if it failed
+            if (this.fetchedWeather === snapshot) {
+                this.openedTrip = trip;
+                this.renderTripBanner(trip);
+                return;
+            }
+
+            const savedScores = new Map(trip.scores.map(p => [this.getPointKey(p), p.score]));
+            const spots = [];
+
+            this.weatherData.forEach(point => {
+                const before = savedScores.get(this.getPointKey(point));
+                if (before === undefined) return;
+
+                point.scoreChange = Math.round((point.score - before) * 10) / 10;
+                spots.push({ rank: point.rank, lat: point.lat, lon: point.lon, before: before, after: point.score });
+            });
+            spots.sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+            this.displayInTable();
+
+            let routeAfter = null;
+            if (trip.route) {
+                this.applyRouteParams(new URLSearchParams(trip.state));
+                await this.buildRoute();
+                if (this.currentRoute) {
+                    routeAfter = this.average(this.currentRoute.map(stop => stop.dailyScore));
+                }
+            }
+
+            this.openedTrip = trip;
+            this.renderTripBanner(trip, {
+                spots: spots,
+                avgBefore: this.average(trip.scores.map(p => p.score)),
+                avgAfter: this.average(this.weatherData.map(p => p.score)),
+                routeBefore: trip.route ? this.average(trip.route.stops.map(stop => stop.dailyScore)) : null,
+                routeAfter: routeAfter
+            });
+        } catch (error) {
+            console.error('Could not refresh trip:', error);
+            alert('Could not refresh trip: ' + error.message);
+        }
+    }
+
+    // Scoring Profile Functions
+
+    getDefaultScoringProfiles() {
+        return [
+            {
+                id: 'balanced',
+                name: 'Balanced',
+                builtIn: true,
+                weights: { rainAmount: 0.25, rainChance: 0.25, sun: 0.30, temp: 0.15, wind: 0.05 },
+                tempOptimum: 22.5,
+                tempTolerance: 2.5,
+                windOptimum: 0,
+                uncertaintyPenalty: 0
+            },
+            {
+                id: 'beach',
+                name: 'Beach',
+                builtIn: true,
+                weights: { rainAmount: 0.20, rainChance: 0.20, sun: 0.35, temp: 0.20, wind: 0.05 },
+                tempOptimum: 28,
+                tempTolerance: 3,
+                windOptimum: 0,
+                uncertaintyPenalty: 0
+            },
+            {
+                id: 'hiking',
+                name: 'Hiking',
+                builtIn: true,
+                weights: { rainAmount: 0.30, rainChance: 0.30, sun: 0.15, temp: 0.15, wind: 0.10 },
+                tempOptimum: 16,
+                tempTolerance: 4,
+                windOptimum: 0,
+                uncertaintyPenalty: 0
+            },
+            {
+                id: 'kitesurfing',
+                name: 'Kitesurfing',
+                builtIn: true,
+                weights: { rainAmount: 0.10, rainChance: 0.10, sun: 0.10, temp: 0.10, wind: 0.60 },
+                tempOptimum: 22,
+                tempTolerance: 5,
+                windOptimum: 30,
+                uncertaintyPenalty: 0
+            },
+            {
+                id: 'ski-touring',
+                name: 'Ski Touring',
+                builtIn: true,
+                weights: { rainAmount: 0.15, rainChance: 0.20, sun: 0.35, temp: 0.20, wind: 0.10 },
+                tempOptimum: -4,
+                tempTolerance: 3,
+                windOptimum: 0,
+                uncertaintyPenalty: 0
+            }
+        ];
+    }
+
+    loadScoringProfiles() {
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem('weatherChaser.scoringProfiles')) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable scoring profiles:', error);
+        }
+        saved = (Array.isArray(saved) ? saved : [])
+            .map(profile => this.sanitizeScoringProfile(profile))
+            .filter(profile => profile);
+
+        // Built-in profiles (possibly edited) first, then the user's own
+        this.scoringProfiles = this.getDefaultScoringProfiles()
+            .map(profile => saved.find(p => p.id === profile.id) || profile)
+            .concat(saved.filter(p => !p.builtIn));
+
+        this.activeProfileId = localStorage.getItem('weatherChaser.activeProfile') || 'balanced';
+        if (!this.scoringProfiles.some(p => p.id === this.activeProfileId)) {
+            this.activeProfileId = 'balanced';
+        }
+    }
+
+    sanitizeScoringProfile(profile) {
+        // Profiles come from localStorage and shared links; one without usable weights would
+        // break scoring on every page load. Missing settings fall back to the balanced profile.
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const preferenceKeys = ['tempOptimum', 'tempTolerance', 'windOptimum', 'uncertaintyPenalty'];
+        const defaults = this.getDefaultScoringProfiles().find(p => p.id === 'balanced');
+
+        if (!isObject(profile) || typeof profile.id !== 'string' || typeof profile.name !== 'string') return null;
+        if (!isObject(profile.weights) || !Object.values(profile.weights).every(isNumber)) return null;
+        if (preferenceKeys.some(key => profile[key] !== undefined && !isNumber(profile[key]))) return null;
+
+        const weights = {};
+        this.getScoringFactors().forEach(factor => {
+            const weight = profile.weights[factor.key] ?? defaults.weights[factor.key];
+            if (weight !== undefined) weights[factor.key] = weight;
+        });
+
+        const sanitized = { id: profile.id, name: profile.name, builtIn: profile.builtIn === true, weights: weights };
+        preferenceKeys.forEach(key => {
+            sanitized[key] = profile[key] ?? defaults[key];
+        });
+        return sanitized;
+    }
+
+    saveScoringProfiles() {
+        localStorage.setItem('weatherChaser.scoringProfiles', JSON.stringify(this.scoringProfiles));
+        localStorage.setItem('weatherChaser.activeProfile', this.activeProfileId);
+    }
+
+    getActiveProfile() {
+        return this.scoringProfiles.find(p => p.id === this.activeProfileId) || this.scoringProfiles[0];
+    }
+
+    selectScoringProfile(id) {
+        this.activeProfileId = id;
+        this.saveScoringProfiles();
+        this.renderScoringEditor();
+        this.rescoreResults();
+    }
+
+    renderScoringEditor() {
+        const profile = this.getActiveProfile();
+
+        document.getElementById('activeProfileName').textContent = profile.name;
+        document.getElementById('scoringProfile').innerHTML = this.scoringProfiles.map(p =>
+            `<option value="${this.escapeHtml(p.id)}" ${p.id === profile.id ? 'selected' : ''}>${this.escapeHtml(p.name)}</option>`
+        ).join('');
+
+        const weightSliders = this.getScoringFactors().map(factor => {
+            const weight = profile.weights[factor.key] || 0;
+            return `
+                <div class="slider-row">
+                    <label for="weight-${factor.key}">${factor.label}</label>
+                    <input type="range" id="weight-${factor.key}" data-weight="${factor.key}" min="0" max="1" step="0.05" value="${weight}">
+                    <span class="slider-value">${Math.round(weight * 100)}%</span>
+                </div>
+            `;
+        }).join('');
+
+        const preferences = [
+            { key: 'tempOptimum', label: '🎯 Ideal Temperature', min: -15, max: 35, step: 0.5, unit: '°C' },
+            { key: 'tempTolerance', label: '↔️ Temperature Tolerance', min: 1, max: 10, step: 0.5, unit: '°C' },
+            { key: 'windOptimum', label: '🪁 Ideal Wind', min: 0, max: 50, step: 1, unit: ' km/h' },
+            { key: 'uncertaintyPenalty', label: '🎲 Uncertainty Penalty', min: 0, max: 2, step: 0.1, unit: ' pts per ±1' }
+        ];
+
+        const preferenceSliders = preferences.map(pref => `
+            <div class="slider-row">
+                <label for="pref-${pref.key}">${pref.label}</label>
+                <input type="range" id="pref-${pref.key}" data-setting="${pref.key}" data-unit="${pref.unit}" min="${pref.min}" max="${pref.max}" step="${pref.step}" value="${profile[pref.key] || 0}">
+                <span class="slider-value">${profile[pref.key] || 0}${pref.unit}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('scoringSliders').innerHTML = `
+            <div class="slider-group">
+                <h4>Weights</h4>
+                ${weightSliders}
+            </div>
+            <div class="slider-group">
+                <h4>Preferences</h4>
+                ${preferenceSliders}
+            </div>
+        `;
+
+        document.getElementById('deleteProfileBtn').disabled = profile.builtIn;
+        document.getElementById('resetProfileBtn').disabled = !profile.builtIn;
+    }
+
+    handleScoringInput(input) {
+        const profile = this.getActiveProfile();
+        const value = parseFloat(input.value);
+        const label = input.nextElementSibling;
+
+        if (input.dataset.weight) {
+            profile.weights[input.dataset.weight] = value;
+            label.textContent = `${Math.round(value * 100)}%`;
+        } else {
+            profile[input.dataset.setting] = value;
+            label.textContent = `${value}${input.dataset.unit}`;
+        }
+
+        this.saveScoringProfiles();
+        this.rescoreResults();
+    }
+
+    saveProfileAsNew() {
+        const name = prompt('Name for the new scoring profile:', `${this.getActiveProfile().name} (copy)`);
+        if (!name || !name.trim()) return;
+
+        const profile = JSON.parse(JSON.stringify(this.getActiveProfile()));
+        profile.id = `custom-${Date.now()}`;
+        profile.name = name.trim();
+        profile.builtIn = false;
+
+        this.scoringProfiles.push(profile);
+        this.selectScoringProfile(profile.id);
+    }
+
+    deleteActiveProfile() {
+        const profile = this.getActiveProfile();
+        if (profile.builtIn) return;
+
+        if (confirm(`Delete the scoring profile "${profile.name}"?`)) {
+            this.scoringProfiles = this.scoringProfiles.filter(p => p.id !== profile.id);
+            this.selectScoringProfile('balanced');
+        }
+    }
+
+    resetActiveProfile() {
+        const profile = this.getActiveProfile();
+        const defaults = this.getDefaultScoringProfiles().find(p => p.id === profile.id);
+        if (!defaults) return;
+
+        this.scoringProfiles = this.scoringProfiles.map(p => p.id === profile.id ? defaults : p);
+        this.selectScoringProfile(profile.id);
+    }
+
+    rescoreResults() {
+        // Re-score the already fetched forecasts without hitting the API again
+        if (this.fetchedWeather.length === 0) return;
+
+        this.weatherData = this.calculateScores(this.fetchedWeather);
+
+        this.displayOnMap(false);
+        this.displayInTable();
+        this.refreshComparison();
+        this.populateStartLocationDropdown();
+
+        // Any built route was planned with the old scores
+        this.clearRoute();
+        this.updateUrlState();
     }
 
     // Route Builder Functions
@@ -1136,35 +5089,61 @@ class WeatherChaser {
         }
 
         const maxTravelPerDay = parseFloat(document.getElementById('maxTravelPerDay').value);
-        const days = parseInt(document.getElementById('days').value);
         const startLocationIndex = document.getElementById('startLocation').value;
+        const strategy = document.getElementById('routeStrategy').value; // 'greedy', 'optimal' or 'compare'
+        const travelCost = parseFloat(document.getElementById('travelCost').value) || 0;
 
         this.showLoading(true);
 
         try {
             let startPoint = null;
 
-            // Get start location if specified (from dropdown selection)
-            if (startLocationIndex !== '') {
+            // Get start location if specified (from dropdown selection); the device
+            // position is a point of its own that the route leaves from before day 1.
+            // It is looked up again for every build since the device may have moved.
+            if (startLocationIndex === 'device' || startLocationIndex === 'shared') {
+                const position = startLocationIndex === 'shared' ? this.sharedOrigin : await this.locateDevice();
+                startPoint = { lat: position.lat, lon: position.lon, name: position.label, isOrigin: true };
+            } else if (startLocationIndex !== '') {
                 const selectedPoint = this.weatherData[parseInt(startLocationIndex)];
                 startPoint = { lat: selectedPoint.lat, lon: selectedPoint.lon };
             }
 
-            // Build optimized route
-            const route = await this.optimizeRoute(this.weatherData, maxTravelPerDay, days, startPoint);
-
-            if (route.length === 0) {
-                alert('Could not build a valid route with the given constraints');
+            // The itinerary covers the chosen trip days, starting on the first of them
+            const dayIndexes = this.getTripDayIndexes(this.weatherData[0].rawData);
+            if (dayIndexes.length === 0) {
+                alert('None of the forecast days fall within your trip dates');
                 return;
             }
 
-            this.currentRoute = route;
+            // Road distances between all spots (and from the origin), computed once up front
+            const matrix = await this.getTravelMatrix(
+                startPoint && startPoint.isOrigin ? [...this.weatherData, startPoint] : this.weatherData
+            );
+
+            // Build the requested route(s)
+            const routes = {};
+            if (strategy !== 'optimal') {
+                routes.greedy = await this.optimizeRoute(this.weatherData, maxTravelPerDay, dayIndexes, startPoint, matrix);
+            }
+            if (strategy !== 'greedy') {
+                routes.optimal = await this.optimizeRouteGlobal(this.weatherData, maxTravelPerDay, dayIndexes, startPoint, travelCost, matrix);
+            }
+
+            const primaryKey = strategy === 'greedy' ? 'greedy' : 'optimal';
+            if (routes[primaryKey].length === 0) {
+                alert(startPoint && startPoint.isOrigin
+                    ? 'No spot is within your max travel per day of your current position'
+                    : 'Could not build a valid route with the given constraints');
+                return;
+            }
 
-            // Display route on map
-            this.displayRoute(route);
+            this.routeAlternatives = routes;
+            this.routeTravelCost = travelCost;
+            this.routeSettings = { maxTravelPerDay, strategy, travelCost, startPoint };
 
-            // Display itinerary
-            this.displayItinerary(route);
+            this.showRouteAlternative(primaryKey);
+            this.updateUrlState();
 
         } catch (error) {
             console.error('Route building error:', error);
@@ -1174,39 +5153,52 @@ class WeatherChaser {
         }
     }
 
-    async optimizeRoute(weatherData, maxTravelPerDay, totalDays, startPoint) {
+    async optimizeRoute(weatherData, maxTravelPerDay, dayIndexes, startPoint, matrix) {
         const route = [];
-        const sortedSpots = [...weatherData].sort((a, b) => b.score - a.score);
-
-        // Find starting point
-        let currentPoint;
-        let currentIndex;
-        if (startPoint) {
-            currentPoint = startPoint;
-            // Find index of start point in sortedSpots
-            currentIndex = sortedSpots.findIndex(s => s.lat === startPoint.lat && s.lon === startPoint.lon);
-        } else {
+        const totalDays = dayIndexes.length;
+        const forecastDates = weatherData[0].rawData.time;
+
+        // Rank spots by the forecast for the first day of the trip
+        const sortedSpots = [...weatherData].sort((a, b) =>
+            this.getDailyScoreForPoint(b, dayIndexes[0]) - this.getDailyScoreForPoint(a, dayIndexes[0])
+        );
+
+        // Find starting point; an origin outside the grid leaves currentIndex at -1 until day 1
+        const origin = startPoint && startPoint.isOrigin ? startPoint : null;
+        let currentIndex = startPoint && !origin
+            ? sortedSpots.findIndex(s => s.lat === startPoint.lat && s.lon === startPoint.lon)
+            : -1;
+
+        if (currentIndex < 0 && !origin) {
             // Start from best weather spot
-            currentPoint = sortedSpots[0];
             currentIndex = 0;
+            startPoint = null;
             route.push({
                 day: 1,
-                location: currentPoint,
+                dayIndex: dayIndexes[0],
+                date: forecastDates[dayIndexes[0]],
+                location: sortedSpots[0],
                 distance: 0,
                 driveTime: 0,
-                weather: currentPoint.rawData,
+                weather: sortedSpots[0].rawData,
+                dailyScore: this.getDailyScoreForPoint(sortedSpots[0], dayIndexes[0]),
                 stayed: false
             });
         }
 
         // Build route day by day
         for (let day = startPoint ? 1 : 2; day <= totalDays; day++) {
-            const nextLocation = await this.findNextBestLocation(
-                currentPoint,
+            // Each stop is judged by the forecast for the day we would be there
+            const dayIndex = dayIndexes[day - 1];
+
+            const nextLocation = this.findNextBestLocation(
                 currentIndex,
                 sortedSpots,
                 maxTravelPerDay,
-                route.length > 0 ? route[route.length - 1].location : null
+                route.length > 0 ? route[route.length - 1].location : null,
+                dayIndex,
+                matrix,
+                origin
             );
 
             if (!nextLocation) {
@@ -1215,85 +5207,50 @@ class WeatherChaser {
 
             // Check if staying in same location
             const isStaying = nextLocation.index === currentIndex;
-            let distance = 0;
-            let driveTime = 0;
-
-            if (!isStaying) {
-                // Get actual road distance and duration
-                const roadInfo = await this.calculateRoadDistance(
-                    currentPoint.lat,
-                    currentPoint.lon,
-                    nextLocation.location.lat,
-                    nextLocation.location.lon
-                );
-
-                // Handle both object (with distance/duration) and number (fallback) returns
-                distance = typeof roadInfo === 'object' ? roadInfo.distance : roadInfo;
-                driveTime = typeof roadInfo === 'object' ? roadInfo.duration : (distance / 80 * 60);
-            }
+            const travel = isStaying
+                ? { distance: 0, duration: 0 }
+                : this.lookupTravel(matrix, currentIndex >= 0 ? sortedSpots[currentIndex] : origin, nextLocation.location);
 
             route.push({
                 day: day,
+                dayIndex: dayIndex,
+                date: forecastDates[dayIndex],
                 location: nextLocation.location,
-                distance: Math.round(distance),
-                driveTime: Math.round(driveTime),
+                distance: Math.round(travel.distance),
+                driveTime: Math.round(travel.duration),
                 weather: nextLocation.location.rawData,
+                dailyScore: this.getDailyScoreForPoint(nextLocation.location, dayIndex),
                 stayed: isStaying
             });
 
             currentIndex = nextLocation.index;
-            currentPoint = nextLocation.location;
         }
 
         return route;
     }
 
-    async findNextBestLocation(currentPoint, currentIndex, sortedSpots, maxTravel, previousLocation) {
+    findNextBestLocation(currentIndex, sortedSpots, maxTravel, previousLocation, dayIndex, matrix, origin = null) {
         let bestOption = null;
         let bestScore = -1;
 
         // First, consider staying at current location
-        // Staying gets a bonus (no travel time/cost) but only if weather is still good
-        const currentLocation = sortedSpots[currentIndex];
+        // Staying gets a bonus (no travel time/cost) but only if that day's weather is still good
+        // (a currentIndex of -1 means we are still at the origin, where there is no forecast to stay for)
+        const currentLocation = currentIndex >= 0 ? sortedSpots[currentIndex] : origin;
         const stayBonus = 35; // Bonus for not moving (saves time and money)
-        const stayScore = currentLocation.score + stayBonus;
+        const stayScore = currentIndex >= 0 ? this.getDailyScoreForPoint(currentLocation, dayIndex) + stayBonus : -1;
 
         if (stayScore > bestScore) {
             bestScore = stayScore;
             bestOption = { location: currentLocation, index: currentIndex };
         }
 
-        // Use air distance for initial filtering to avoid too many API calls
-        const candidatesInRange = [];
         for (let i = 0; i < sortedSpots.length; i++) {
             // Skip current location (already considered above)
             if (i === currentIndex) continue;
 
             const candidate = sortedSpots[i];
-            const airDistance = this.calculateDistance(
-                currentPoint.lat,
-                currentPoint.lon,
-                candidate.lat,
-                candidate.lon
-            );
-
-            // Filter by air distance (add 20% buffer for road distance)
-            if (airDistance <= maxTravel * 1.2) {
-                candidatesInRange.push({ candidate, index: i, airDistance });
-            }
-        }
-
-        // Check road distance for candidates in range
-        for (const { candidate, index, airDistance } of candidatesInRange) {
-            // Get actual road distance
-            const roadInfo = await this.calculateRoadDistance(
-                currentPoint.lat,
-                currentPoint.lon,
-                candidate.lat,
-                candidate.lon
-            );
-
-            const distance = typeof roadInfo === 'object' ? roadInfo.distance : roadInfo;
+            const { distance } = this.lookupTravel(matrix, currentLocation, candidate);
 
             // Check if within max travel distance
             if (distance > maxTravel) continue;
@@ -1314,19 +5271,122 @@ class WeatherChaser {
                 }
             }
 
-            // Score: weather score + distance efficiency - direction penalty
+            // Score: that day's weather score + distance efficiency - direction penalty
             const distanceScore = ((maxTravel - distance) / maxTravel) * 30;
-            const totalScore = candidate.score + distanceScore - directionPenalty;
+            const totalScore = this.getDailyScoreForPoint(candidate, dayIndex) + distanceScore - directionPenalty;
 
             if (totalScore > bestScore) {
                 bestScore = totalScore;
-                bestOption = { location: candidate, index };
+                bestOption = { location: candidate, index: i };
             }
         }
 
         return bestOption;
     }
 
+    async optimizeRouteGlobal(weatherData, maxTravelPerDay, dayIndexes, startPoint, travelCostPer100Km, matrix) {
+        // Dynamic programming over (day, location): best[d][j] is the highest
+        // achievable "weather score minus travel cost" for a trip that spends trip day d at spot j
+        const spots = weatherData;
+        const totalDays = dayIndexes.length;
+        const forecastDates = weatherData[0].rawData.time;
+        const costPerKm = travelCostPer100Km / 100;
+        const distance = (i, j) => this.lookupTravel(matrix, spots[i], spots[j]).distance;
+        const origin = startPoint && startPoint.isOrigin ? startPoint : null;
+        const startIndex = startPoint && !origin
+            ? spots.findIndex(s => s.lat === startPoint.lat && s.lon === startPoint.lon)
+            : -1;
+        const distanceFromStart = j => origin
+            ? this.lookupTravel(matrix, origin, spots[j]).distance
+            : distance(startIndex, j);
+
+        const best = [];
+        const cameFrom = [];
+
+        for (let d = 0; d < totalDays; d++) {
+            best.push(new Array(spots.length).fill(-Infinity));
+            cameFrom.push(new Array(spots.length).fill(-1));
+
+            for (let j = 0; j < spots.length; j++) {
+                const dayScore = this.getDailyScoreForPoint(spots[j], dayIndexes[d]);
+
+                if (d === 0) {
+                    // Without a start point the trip may begin anywhere
+                    if (startIndex < 0 && !origin) {
+                        best[0][j] = dayScore;
+                    } else if (distanceFromStart(j) <= maxTravelPerDay) {
+                        best[0][j] = dayScore - distanceFromStart(j) * costPerKm;
+                        cameFrom[0][j] = startIndex;
+                    }
+                    continue;
+                }
+
+                for (let i = 0; i < spots.length; i++) {
+                    if (best[d - 1][i] === -Infinity || distance(i, j) > maxTravelPerDay) continue;
+
+                    const value = best[d - 1][i] - distance(i, j) * costPerKm + dayScore;
+                    if (value > best[d][j]) {
+                        best[d][j] = value;
+                        cameFrom[d][j] = i;
+                    }
+                }
+            }
+        }
+
+        // Walk back from the best final spot
+        const lastDay = best[totalDays - 1];
+        let index = lastDay.indexOf(Math.max(...lastDay));
+        if (index < 0 || lastDay[index] === -Infinity) {
+            return [];
+        }
+
+        const path = new Array(totalDays);
+        for (let d = totalDays - 1; d >= 0; d--) {
+            path[d] = index;
+            index = cameFrom[d][index];
+        }
+
+        // Turn the path into itinerary stops
+        const route = [];
+        let previous = origin || (startIndex >= 0 ? spots[startIndex] : null);
+
+        for (let d = 0; d < totalDays; d++) {
+            const location = spots[path[d]];
+            const isStaying = previous === location;
+            const travel = previous && !isStaying
+                ? this.lookupTravel(matrix, previous, location)
+                : { distance: 0, duration: 0 };
+
+            route.push({
+                day: d + 1,
+                dayIndex: dayIndexes[d],
+                date: forecastDates[dayIndexes[d]],
+                location: location,
+                distance: Math.round(travel.distance),
+                driveTime: Math.round(travel.duration),
+                weather: location.rawData,
+                dailyScore: this.getDailyScoreForPoint(location, dayIndexes[d]),
+                stayed: isStaying
+            });
+
+            previous = location;
+        }
+
+        return route;
+    }
+
+    summarizeRoute(route, travelCostPer100Km) {
+        const totalScore = route.reduce((sum, stop) => sum + stop.dailyScore, 0);
+        const totalDistance = route.reduce((sum, stop) => sum + stop.distance, 0);
+
+        return {
+            totalScore: totalScore,
+            avgScore: totalScore / route.length,
+            totalDistance: totalDistance,
+            netScore: totalScore - totalDistance * travelCostPer100Km / 100
+        };
+    }
+
     calculateDistance(lat1, lon1, lat2, lon2) {
         // Haversine formula for distance in km (air distance)
         const R = 6371; // Earth's radius in km
@@ -1342,38 +5402,424 @@ class WeatherChaser {
         return R * c;
     }
 
-    async calculateRoadDistance(lat1, lon1, lat2, lon2) {
-        // Use OSRM (Open Source Routing Machine) to get actual road distance
+    // Travel Matrix Functions
+
+    async getTravelMatrix(points) {
+        // Road distances (km) and durations (minutes) between every pair of points,
+        // read from the IndexedDB cache first and fetched from OSRM's /table service otherwise
+        const n = points.length;
+        const coordKeys = points.map(p => this.getPointKey(p));
+        const pairKey = (i, j) => `${this.routingBaseUrl}|${coordKeys[i]}|${coordKeys[j]}`;
+
+        const distances = points.map(() => new Array(n).fill(null));
+        const durations = points.map(() => new Array(n).fill(null));
+
+        const pairKeys = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                pairKeys.push(pairKey(i, j));
+            }
+        }
+
+        let cached = [];
         try {
-            const url = `https://router.project-osrm.org/route/v1/driving/${lon1},${lat1};${lon2},${lat2}?overview=false`;
-            const response = await fetch(url);
+            cached = await this.dbGetMany('distances', pairKeys);
+        } catch (error) {
+            console.warn('Distance cache unavailable:', error);
+        }
 
-            if (!response.ok) {
-                // Fallback to air distance if API fails
-                console.warn('OSRM API failed, using air distance');
-                return this.calculateDistance(lat1, lon1, lat2, lon2);
+        // Collect the sources that still have unknown pairs
+        const missingSources = [];
+        for (let i = 0; i < n; i++) {
+            let missing = false;
+
+            for (let j = 0; j < n; j++) {
+                const entry = i === j ? { distance: 0, duration: 0 } : cached[i * n + j];
+                if (entry) {
+                    distances[i][j] = entry.distance;
+                    durations[i][j] = entry.duration;
+                } else {
+                    missing = true;
+                }
             }
 
-            const data = await response.json();
+            if (missing) missingSources.push(i);
+        }
 
-            if (data.code === 'Ok' && data.routes && data.routes.length > 0) {
-                // OSRM returns distance in meters, convert to km
-                const distanceKm = data.routes[0].distance / 1000;
-                const durationSeconds = data.routes[0].duration;
+        if (missingSources.length > 0) {
+            // The public OSRM server allows 100 coordinates per table request
+            const chunkSize = 50;
+            const freshEntries = [];
+
+            try {
+                for (let s = 0; s < missingSources.length; s += chunkSize) {
+                    const sourceIndexes = missingSources.slice(s, s + chunkSize);
+
+                    for (let d = 0; d < n; d += chunkSize) {
+                        const destinationIndexes = [];
+                        for (let j = d; j < Math.min(n, d + chunkSize); j++) {
+                            destinationIndexes.push(j);
+                        }
+
+                        const table = await this.fetchTravelTable(
+                            sourceIndexes.map(i => points[i]),
+                            destinationIndexes.map(j => points[j])
+                        );
+
+                        sourceIndexes.forEach((i, row) => {
+                            destinationIndexes.forEach((j, col) => {
+                                if (i === j) return;
+
+                                // OSRM returns null when no road connects the two points
+                                const meters = table.distances[row][col];
+                                const entry = meters === null
+                                    ? { distance: Infinity, duration: Infinity }
+                                    : { distance: meters / 1000, duration: table.durations[row][col] / 60 };
+
+                                distances[i][j] = entry.distance;
+                                durations[i][j] = entry.duration;
+                                freshEntries.push([pairKey(i, j), entry]);
+                            });
+                        });
+                    }
+                }
+            } catch (error) {
+                console.warn('Routing service failed, using estimated road distances:', error);
+            }
 
-                return {
-                    distance: distanceKm,
-                    duration: durationSeconds / 60 // Convert to minutes
-                };
+            if (freshEntries.length > 0) {
+                try {
+                    await this.dbPutMany('distances', freshEntries);
+                } catch (error) {
+                    console.warn('Could not cache distances:', error);
+                }
+            }
+
+            // Fill anything the routing service could not provide with an estimate
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    if (distances[i][j] === null) {
+                        const estimate = this.estimateTravel(points[i], points[j]);
+                        distances[i][j] = estimate.distance;
+                        durations[i][j] = estimate.duration;
+                    }
+                }
+            }
+        }
+
+        return {
+            distances: distances,
+            durations: durations,
+            indexOf: new Map(points.map((point, index) => [point, index]))
+        };
+    }
+
+    async fetchTravelTable(sources, destinations) {
+        // OSRM expects lon,lat pairs; sources come first, destinations after them
+        const coords = [...sources, ...destinations].map(p => `${p.lon},${p.lat}`).join(';');
+        const sourceParam = sources.map((_, i) => i).join(';');
+        const destinationParam = destinations.map((_, i) => sources.length + i).join(';');
+
+        const url = `${this.routingBaseUrl}/table/v1/driving/${coords}` +
+            `?sources=${sourceParam}&destinations=${destinationParam}&annotations=distance,duration`;
+
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Routing table request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (data.code !== 'Ok') {
+            throw new Error(`Routing table error: ${data.code}`);
+        }
+
+        return data;
+    }
+
+    getPointKey(point) {
+        return `${point.lat.toFixed(4)},${point.lon.toFixed(4)}`;
+    }
+
+    estimateTravel(from, to) {
+        // Air distance with a typical road detour factor, driven at 80 km/h
+        const distance = this.calculateDistance(from.lat, from.lon, to.lat, to.lon) * 1.2;
+        return { distance: distance, duration: distance / 80 * 60 };
+    }
+
+    lookupTravel(matrix, from, to) {
+        const i = matrix.indexOf.get(from);
+        const j = matrix.indexOf.get(to);
+
+        return {
+            distance: matrix.distances[i][j],
+            duration: matrix.durations[i][j]
+        };
+    }
+
+    setRoutingBaseUrl(url) {
+        // Strip trailing slashes so paths can be appended directly
+        this.routingBaseUrl = (url.trim() || 'https://router.project-osrm.org').replace(/\/+$/, '');
+        localStorage.setItem('weatherChaser.routingBaseUrl', this.routingBaseUrl);
+    }
+
+    // Forecast Cache Functions
+
+    getForecastCacheKey(point, days) {
+        // Snap to 0.05° (~5 km), about the spacing of the forecast models' own grid,
+        // so overlapping searches with different radii still share entries
+        const snap = (value) => (Math.round(value * 20) / 20).toFixed(2);
+        let source = this.weatherProviderId === 'open-meteo-custom' ? this.weatherBaseUrl : this.weatherProviderId;
+        if (this.getWeatherProvider().supportsModels) {
+            source += `:${this.weatherModel}`;
+        }
+
+        // Providers always return the full internal schema; only hourly detail is optional
+        const variables = this.hourlyMode ? 'daily+hourly' : 'daily';
+        return `${snap(point.lat)},${snap(point.lon)}|${source}|${variables}|${days}`;
+    }
+
+    getModelRun(date = new Date()) {
+        // Providers refresh their forecasts every few hours; a cached entry is valid until the next run
+        const runMs = this.getWeatherProvider().updateHours * 60 * 60 * 1000;
+        return Math.floor(date.getTime() / runMs);
+    }
+
+    getModelRunExpiry(run) {
+        return new Date((run + 1) * this.getWeatherProvider().updateHours * 60 * 60 * 1000);
+    }
+
+    async readForecastCache(gridPoints, days) {
+        if (this.getWeatherProvider().cacheable === false) {
+            return { results: [], missing: gridPoints };
+        }
+
+        const currentRun = this.getModelRun();
+        let entries;
+
+        try {
+            entries = await this.dbGetMany('forecasts', gridPoints.map(p => this.getForecastCacheKey(p, days)));
+        } catch (error) {
+            console.warn('Forecast cache unavailable:', error);
+            return { results: [], missing: gridPoints };
+        }
+
+        const results = [];
+        const missing = [];
+
+        gridPoints.forEach((point, i) => {
+            const entry = entries[i];
+            if (entry && entry.run === currentRun) {
+                results.push({ lat: point.lat, lon: point.lon, index: point.index, weather: entry.weather, fromCache: true });
             } else {
-                // Fallback to air distance
-                return this.calculateDistance(lat1, lon1, lat2, lon2);
+                missing.push(point);
             }
+        });
+
+        return { results, missing };
+    }
+
+    async writeForecastCache(points, days) {
+        // Offline answers from the service worker are already cached there
+        const fresh = points.filter(p => p.weather && !p.weather.cachedAt);
+        if (fresh.length === 0 || this.getWeatherProvider().cacheable === false) return;
+
+        const run = this.getModelRun();
+        const fetchedAt = new Date().toISOString();
+
+        try {
+            await this.dbPutMany('forecasts', fresh.map(p => [
+                this.getForecastCacheKey(p, days),
+                { weather: p.weather, run: run, fetchedAt: fetchedAt }
+            ]));
+
+            // Entries from earlier model runs are never read again, so they go as new ones come in
+            await this.deleteExpiredForecasts();
+            await this.renderCacheInspector();
+        } catch (error) {
+            console.warn('Could not cache forecasts:', error);
+        }
+    }
+
+    async renderCacheInspector() {
+        const container = document.getElementById('cacheInspector');
+        let forecasts, distanceCount, destinationCount, geocodeCount;
+
+        try {
+            forecasts = await this.dbGetAll('forecasts');
+            distanceCount = await this.dbCount('distances');
+            destinationCount = await this.dbCount('destinations');
+            geocodeCount = await this.dbCount('geocodes');
+        } catch (error) {
+            container.innerHTML = '<p class="empty-state">The cache is not available in this browser.</p>';
+            return;
+        }
+
+        const currentRun = this.getModelRun();
+        const valid = forecasts.filter(entry => entry.run === currentRun);
+        const fetchTimes = forecasts.map(entry => entry.fetchedAt).sort();
+        const sizeKb = Math.round(forecasts.reduce((sum, entry) => sum + JSON.stringify(entry.weather).length, 0) / 1024);
+
+        const formatTime = (date) => new Date(date).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+
+        container.innerHTML = `
+            <table class="cache-table">
+                <tr><td>Cached forecasts</td><td>${forecasts.length} (${valid.length} current, ${forecasts.length - valid.length} expired)</td></tr>
+                <tr><td>Approximate size</td><td>${sizeKb} KB</td></tr>
+                ${fetchTimes.length > 0 ? `
+                    <tr><td>Fetched</td><td>${formatTime(fetchTimes[0])} – ${formatTime(fetchTimes[fetchTimes.length - 1])}</td></tr>
+                ` : ''}
+                <tr><td>Current forecasts expire</td><td>${formatTime(this.getModelRunExpiry(currentRun))}</td></tr>
+                <tr><td>Cached road distances</td><td>${distanceCount}</td></tr>
+                <tr><td>Cached destination lookups</td><td>${destinationCount}</td></tr>
+                <tr><td>Cached place searches</td><td>${geocodeCount}</td></tr>
+            </table>
+        `;
+    }
+
+    async clearCache(storeName) {
+        try {
+            await this.dbClear(storeName);
+        } catch (error) {
+            console.error('Could not clear cache:', error);
+            alert('Could not clear cache: ' + error.message);
+        }
+        await this.renderCacheInspector();
+    }
+
+    async deleteExpiredForecasts() {
+        const db = await this.openDatabase();
+        const currentRun = this.getModelRun();
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('forecasts', 'readwrite');
+            const request = transaction.objectStore('forecasts').openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.run !== currentRun) cursor.delete();
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async clearExpiredForecasts() {
+        try {
+            await this.deleteExpiredForecasts();
         } catch (error) {
-            console.warn('Error fetching road distance:', error);
-            // Fallback to air distance
-            return this.calculateDistance(lat1, lon1, lat2, lon2);
+            console.error('Could not clear expired forecasts:', error);
+            alert('Could not clear expired forecasts: ' + error.message);
+        }
+        await this.renderCacheInspector();
+    }
+
+    // IndexedDB Storage Functions
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open('weather-chaser', 5);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    ['distances', 'trips', 'forecasts', 'destinations', 'geocodes'].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name);
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
+
+        return this.dbPromise;
+    }
+
+    async dbGetMany(storeName, keys) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readonly');
+            const store = transaction.objectStore(storeName);
+            const results = new Array(keys.length);
+
+            keys.forEach((key, index) => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    results[index] = request.result;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(results);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async dbPutMany(storeName, entries) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            entries.forEach(([key, value]) => store.put(value, key));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async dbGetAll(storeName) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async dbCount(storeName) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async dbClear(storeName) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).clear();
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async dbDelete(storeName, key) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).delete(key);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
 
     displayRoute(route) {
@@ -1384,8 +5830,9 @@ class WeatherChaser {
         this.routeMarkers.forEach(marker => this.map.removeLayer(marker));
         this.routeMarkers = [];
 
-        // Create route line
-        const routeCoords = route.map(stop => [stop.location.lat, stop.location.lon]);
+        // Create route line, leading in from the origin when the trip leaves from one
+        const origin = this.getRouteOrigin();
+        const routeCoords = this.getRouteCoords(route);
         this.routePolyline = L.polyline(routeCoords, {
             color: '#10b981',
             weight: 4,
@@ -1403,36 +5850,172 @@ class WeatherChaser {
                 })
             }).addTo(this.map);
 
-            const emoji = this.getWeatherEmoji(
-                this.average(stop.weather.precipitation_sum),
-                this.average(stop.weather.precipitation_probability_max),
-                this.average(stop.weather.sunshine_duration) / 3600,
-                this.average(stop.weather.temperature_2m_max),
-                this.average(stop.weather.temperature_2m_min)
-            );
+            const day = this.getStopConditions(stop);
+            const emoji = this.getWeatherEmoji(day.rain, day.rainChance, day.sunHours, day.tempMax, day.tempMin);
 
             marker.bindPopup(`
                 <div class="weather-popup">
                     <h3>Day ${stop.day} - ${emoji}</h3>
+                    ${stop.location.name ? `<p class="popup-place">${this.formatPlaceName(stop.location)}</p>` : ''}
                     <p><strong>Distance:</strong> ${stop.distance} km</p>
-                    <p><strong>Score:</strong> ${stop.location.score}</p>
-                    <p><strong>Temp:</strong> ${stop.location.avgTemp}°C</p>
-                    <p><strong>Rain:</strong> ${stop.location.rainAmount}mm</p>
+                    <p><strong>Day Score:</strong> ${stop.dailyScore} <small>(avg ${stop.location.score})</small></p>
+                    <p><strong>Temp:</strong> ${day.avgTemp.toFixed(1)}°C</p>
+                    <p><strong>Rain:</strong> ${day.rain}mm${day.rainChance === null ? '' : ` (${day.rainChance}%)`}</p>
                 </div>
             `);
 
             this.routeMarkers.push(marker);
         });
 
+        if (origin) {
+            const marker = L.marker([origin.lat, origin.lon], {
+                icon: L.divIcon({
+                    className: 'route-origin-marker',
+                    html: '📍',
+                    iconSize: [32, 32]
+                })
+            }).addTo(this.map);
+
+            marker.bindPopup(`
+                <div class="weather-popup">
+                    <h3>Start</h3>
+                    <p class="popup-place">${this.escapeHtml(origin.name)}</p>
+                </div>
+            `);
+            this.routeMarkers.push(marker);
+        }
+
         // Fit map to route
         this.map.fitBounds(this.routePolyline.getBounds().pad(0.1));
     }
 
+    clearRoute() {
+        if (this.routePolyline) {
+            this.map.removeLayer(this.routePolyline);
+            this.routePolyline = null;
+        }
+        this.routeMarkers.forEach(marker => this.map.removeLayer(marker));
+        this.routeMarkers = [];
+        this.displayAlternativeRoute(null);
+
+        this.currentRoute = null;
+        this.routeAlternatives = {};
+        this.routeSettings = null;
+        document.getElementById('routeItinerarySection').classList.add('hidden');
+    }
+
+    showRouteAlternative(key) {
+        const route = this.routeAlternatives[key];
+        const otherKey = Object.keys(this.routeAlternatives).find(k => k !== key);
+
+        this.currentRoute = route;
+
+        // Display route on map, with the other strategy's route faded behind it
+        this.displayRoute(route);
+        this.displayAlternativeRoute(otherKey ? this.routeAlternatives[otherKey] : null);
+
+        // Display itinerary
+        this.displayItinerary(route);
+        this.displayRouteComparison(key);
+    }
+
+    displayAlternativeRoute(route) {
+        if (this.altRoutePolyline) {
+            this.map.removeLayer(this.altRoutePolyline);
+            this.altRoutePolyline = null;
+        }
+
+        if (!route || route.length === 0) return;
+
+        const routeCoords = this.getRouteCoords(route);
+        this.altRoutePolyline = L.polyline(routeCoords, {
+            color: '#64748b',
+            weight: 3,
+            opacity: 0.6,
+            dashArray: '4, 8'
+        }).addTo(this.map);
+    }
+
+    getRouteOrigin() {
+        // The device position a route leaves from, if it was not one of the spots
+        const startPoint = this.routeSettings && this.routeSettings.startPoint;
+        return startPoint && startPoint.isOrigin ? startPoint : null;
+    }
+
+    getRouteCoords(route) {
+        const origin = this.getRouteOrigin();
+        const coords = route.map(stop => [stop.location.lat, stop.location.lon]);
+        return origin ? [[origin.lat, origin.lon], ...coords] : coords;
+    }
+
+    displayRouteComparison(activeKey) {
+        const container = document.getElementById('routeComparison');
+        const keys = Object.keys(this.routeAlternatives);
+
+        if (keys.length < 2) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const labels = {
+            greedy: 'Smart (day by day)',
+            optimal: 'Optimal (whole trip)'
+        };
+
+        const rows = keys.map(key => {
+            const summary = this.summarizeRoute(this.routeAlternatives[key], this.routeTravelCost);
+            const isActive = key === activeKey;
+
+            return `
+                <tr class="${isActive ? 'active' : ''}">
+                    <td>${labels[key]}</td>
+                    <td>${Math.round(summary.avgScore)}</td>
+                    <td>${summary.totalDistance} km</td>
+                    <td>${Math.round(summary.netScore)}</td>
+                    <td>
+                        ${isActive ? '<span class="comparison-active">Showing</span>' :
+                          `<button class="comparison-show-btn" onclick="app.showRouteAlternative('${key}')">Show</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <h3>Route Comparison</h3>
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>Strategy</th>
+                        <th>Avg Day Score</th>
+                        <th>Total Distance</th>
+                        <th>Net Score</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <small>Net score = sum of daily scores minus ${this.routeTravelCost} points per 100 km driven</small>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    getStopConditions(stop) {
+        // Clamp to the last forecast day if the trip runs past the forecast window
+        const lastDay = stop.weather.time.length - 1;
+        return this.getDayConditions(stop.weather, Math.min(stop.dayIndex, lastDay));
+    }
+
+    getStopSpread(stop) {
+        const spreads = stop.location.dailySpread;
+        return spreads ? spreads[Math.min(stop.dayIndex, spreads.length - 1)] : null;
+    }
+
     generateGoogleMapsUrl(route) {
         // Google Maps directions URL format:
         // https://www.google.com/maps/dir/origin/waypoint1/waypoint2/.../destination
-        const waypoints = route.map(stop =>
-            `${stop.location.lat},${stop.location.lon}`
+        const waypoints = this.getRouteCoords(route).map(([lat, lon]) =>
+            `${lat},${lon}`
         ).join('/');
 
         return `https://www.google.com/maps/dir/${waypoints}`;
@@ -1444,7 +6027,7 @@ class WeatherChaser {
 
         // Calculate statistics
         const totalDistance = route.reduce((sum, stop) => sum + stop.distance, 0);
-        const avgScore = route.reduce((sum, stop) => sum + stop.location.score, 0) / route.length;
+        const avgScore = route.reduce((sum, stop) => sum + stop.dailyScore, 0) / route.length;
         const avgSpeed = 80; // km/h average driving speed
         const totalDriveTime = Math.round(totalDistance / avgSpeed * 60); // in minutes
 
@@ -1458,12 +6041,9 @@ class WeatherChaser {
 
         // Find best weather day
         const bestDayIndex = route.reduce((maxIdx, stop, idx, arr) =>
-            stop.location.score > arr[maxIdx].location.score ? idx : maxIdx, 0
+            stop.dailyScore > arr[maxIdx].dailyScore ? idx : maxIdx, 0
         );
 
-        // Get start date from first location's weather data
-        const startDate = new Date(route[0].weather.time[0]);
-
         // Generate timeline
         route.forEach((stop, index) => {
             const dayDiv = document.createElement('div');
@@ -1474,22 +6054,17 @@ class WeatherChaser {
                 dayDiv.classList.add('best-day');
             }
 
-            // Calculate date for this day
-            const currentDate = new Date(startDate);
-            currentDate.setDate(startDate.getDate() + index);
-            const dateStr = currentDate.toLocaleDateString('en-US', {
+            // Each stop carries the trip date it was planned for
+            const dateStr = new Date(`${stop.date}T00:00:00Z`).toLocaleDateString('en-US', {
                 weekday: 'long',
                 month: 'short',
-                day: 'numeric'
+                day: 'numeric',
+                timeZone: 'UTC'
             });
 
-            const emoji = this.getWeatherEmoji(
-                this.average(stop.weather.precipitation_sum),
-                this.average(stop.weather.precipitation_probability_max),
-                this.average(stop.weather.sunshine_duration) / 3600,
-                this.average(stop.weather.temperature_2m_max),
-                this.average(stop.weather.temperature_2m_min)
-            );
+            // Forecast for the day we are actually at this stop
+            const day = this.getStopConditions(stop);
+            const emoji = this.getWeatherEmoji(day.rain, day.rainChance, day.sunHours, day.tempMax, day.tempMin);
 
             // Use actual drive time from OSRM or fallback calculation
             const driveTime = stop.driveTime || (stop.distance > 0 ? Math.round(stop.distance / avgSpeed * 60) : 0);
@@ -1508,7 +6083,9 @@ class WeatherChaser {
                 </div>
                 <div class="itinerary-header">
                     <div class="location-info">
-                        <h4>${emoji} Weather Score: ${stop.location.score}</h4>
+                        ${stop.location.name ? `<span class="stop-place">${this.formatPlaceName(stop.location)}</span>` : ''}
+                        <h4>${emoji} Day Score: ${stop.dailyScore} ${this.formatConfidence(this.getStopSpread(stop))}</h4>
+                        <span class="avg-score-note">Trip average here: ${stop.location.score}</span>
                         <a href="${mapsLink}" target="_blank" class="maps-link" title="${stop.location.lat.toFixed(4)}, ${stop.location.lon.toFixed(4)}">
                             📍 View on Map
                         </a>
@@ -1522,19 +6099,19 @@ class WeatherChaser {
                 <div class="weather-preview">
                     <div class="weather-mini-card">
                         <div>🌡️</div>
-                        <strong>${stop.location.avgTemp}°C</strong>
+                        <strong>${day.tempMin}°C - ${day.tempMax}°C</strong>
                     </div>
                     <div class="weather-mini-card">
                         <div>☀️</div>
-                        <strong>${stop.location.sunHours}h</strong>
+                        <strong>${day.sunHours.toFixed(1)}h</strong>
                     </div>
                     <div class="weather-mini-card">
                         <div>🌧️</div>
-                        <strong>${stop.location.rainAmount}mm</strong>
+                        <strong>${day.rain}mm${day.rainChance === null ? '' : ` (${day.rainChance}%)`}</strong>
                     </div>
                     <div class="weather-mini-card">
                         <div>💨</div>
-                        <strong>${stop.location.windSpeed} km/h</strong>
+                        <strong>${day.wind} km/h</strong>
                     </div>
                 </div>
             `;
@@ -0,0 +1,91 @@
+// Fixture forecasts for the "Mock data" weather provider.
+// Daily Open-Meteo responses (14 days) for five weather regimes, from settled
+// sunshine to alpine cold. The mock provider blends neighbouring regimes by
+// location, so the same coordinates always get the same forecast.
+const MOCK_FORECAST_FIXTURES = [
+    {
+        name: 'settled-sunny',
+        daily: {
+            temperature_2m_max: [27.0, 29.3, 29.9, 28.3, 25.7, 24.1, 24.7, 27.1, 29.4, 29.9, 28.2, 25.6, 24.1, 24.7],
+            temperature_2m_min: [17.0, 18.9, 18.5, 16.3, 14.0, 13.4, 14.6, 16.8, 18.2, 18.0, 16.4, 14.6, 13.9, 14.6],
+            precipitation_sum: [0.3, 0.1, 0.1, 0.2, 0.4, 0.5, 0.5, 0.3, 0.1, 0.1, 0.2, 0.4, 0.5, 0.5],
+            precipitation_probability_max: [8, 4, 3, 5, 10, 12, 11, 7, 4, 3, 6, 10, 12, 11],
+            sunshine_duration: [41400, 48450, 48600, 45246, 37417, 32602, 34445, 41551, 48543, 48600, 45109, 37282, 32572, 34542],
+            windspeed_10m_max: [17.0, 12.8, 7.3, 9.5, 15.9, 15.8, 9.4, 7.3, 13.0, 17.0, 12.7, 7.2, 9.7, 16.0],
+            windgusts_10m_max: [34.0, 26.5, 16.5, 20.6, 32.0, 31.8, 20.3, 16.6, 26.8, 34.0, 26.2, 16.4, 20.9, 32.2],
+            uv_index_max: [7.0, 8.2, 8.5, 7.6, 6.3, 5.5, 5.8, 7.0, 8.2, 8.5, 7.6, 6.3, 5.5, 5.9],
+            snowfall_sum: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+            relative_humidity_2m_mean: [45, 38, 37, 41, 48, 52, 51, 44, 38, 37, 41, 48, 52, 51],
+            cloud_cover_mean: [12, 0, 0, 3, 20, 31, 27, 11, 0, 0, 3, 21, 31, 27],
+            apparent_temperature_max: [27.1, 29.8, 30.8, 29.0, 25.9, 22.8, 23.9, 28.0, 29.8, 30.0, 28.7, 26.5, 23.3, 23.4]
+        }
+    },
+    {
+        name: 'mixed-showers',
+        daily: {
+            temperature_2m_max: [23.9, 23.4, 21.1, 18.7, 18.1, 19.6, 22.2, 23.9, 23.4, 21.1, 18.7, 18.1, 19.7, 22.3],
+            temperature_2m_min: [15.4, 14.0, 11.1, 9.1, 9.3, 11.6, 14.0, 14.8, 13.5, 11.2, 9.7, 9.9, 11.6, 13.4],
+            precipitation_sum: [0.8, 1.2, 3.4, 5.6, 6.3, 4.8, 2.4, 0.8, 1.3, 3.4, 5.6, 6.2, 4.8, 2.3],
+            precipitation_probability_max: [18, 23, 43, 65, 71, 57, 34, 18, 23, 44, 65, 71, 57, 33],
+            sunshine_duration: [33872, 32476, 25574, 18389, 16358, 21019, 28844, 33911, 32386, 25423, 18291, 16387, 21153, 28982],
+            windspeed_10m_max: [22.7, 16.3, 16.0, 22.3, 24.8, 19.3, 15.0, 19.0, 24.7, 22.6, 16.2, 16.2, 22.5, 24.7],
+            windgusts_10m_max: [42.9, 31.4, 30.9, 42.2, 46.6, 36.7, 29.0, 36.3, 46.4, 42.6, 31.2, 31.1, 42.5, 46.5],
+            uv_index_max: [6.4, 6.2, 5.1, 3.9, 3.5, 4.3, 5.6, 6.5, 6.2, 5.0, 3.8, 3.5, 4.3, 5.6],
+            snowfall_sum: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+            relative_humidity_2m_mean: [54, 55, 61, 68, 69, 65, 58, 54, 55, 61, 68, 69, 65, 58],
+            cloud_cover_mean: [28, 31, 47, 63, 67, 57, 39, 28, 32, 47, 63, 67, 56, 39],
+            apparent_temperature_max: [22.1, 22.1, 19.8, 16.9, 16.1, 18.1, 21.0, 22.4, 21.4, 19.3, 17.4, 16.8, 17.9, 20.3]
+        }
+    },
+    {
+        name: 'windy-coast',
+        daily: {
+            temperature_2m_max: [20.5, 17.9, 16.1, 16.5, 18.8, 21.2, 22.0, 20.5, 17.9, 16.1, 16.5, 18.8, 21.2, 22.0],
+            temperature_2m_min: [14.1, 11.0, 9.5, 10.8, 13.7, 15.9, 15.8, 13.6, 11.1, 10.1, 11.4, 13.7, 15.4, 15.2],
+            precipitation_sum: [0.7, 1.5, 2.1, 2.0, 1.3, 0.5, 0.3, 0.7, 1.6, 2.1, 2.0, 1.3, 0.5, 0.3],
+            precipitation_probability_max: [20, 36, 47, 44, 31, 16, 12, 20, 36, 47, 44, 31, 16, 12],
+            sunshine_duration: [35240, 27443, 22036, 23110, 29852, 37161, 39504, 35109, 27302, 21990, 23195, 30003, 37263, 39481],
+            windspeed_10m_max: [31.9, 29.2, 34.4, 39.0, 35.3, 29.4, 31.2, 37.6, 38.0, 31.8, 29.2, 34.6, 39.0, 35.1],
+            windgusts_10m_max: [54.3, 49.3, 58.8, 67.0, 60.3, 49.8, 53.0, 64.5, 65.3, 54.0, 49.4, 59.1, 67.0, 60.0],
+            uv_index_max: [6.8, 5.5, 4.6, 4.8, 5.9, 7.1, 7.5, 6.8, 5.5, 4.6, 4.8, 5.9, 7.1, 7.5],
+            snowfall_sum: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+            relative_humidity_2m_mean: [65, 72, 77, 76, 70, 64, 62, 65, 72, 77, 76, 70, 64, 62],
+            cloud_cover_mean: [24, 42, 54, 51, 36, 20, 15, 24, 42, 54, 51, 36, 20, 15],
+            apparent_temperature_max: [18.0, 15.6, 13.4, 13.4, 15.9, 18.8, 19.5, 17.5, 14.9, 13.6, 14.2, 16.0, 18.1, 19.2]
+        }
+    },
+    {
+        name: 'unsettled-rain',
+        daily: {
+            temperature_2m_max: [11.9, 11.0, 12.3, 14.9, 16.8, 16.6, 14.4, 11.9, 11.0, 12.4, 15.0, 16.8, 16.5, 14.3],
+            temperature_2m_min: [4.9, 4.4, 6.6, 9.9, 11.6, 10.4, 7.5, 5.1, 5.0, 7.2, 9.9, 11.0, 9.8, 7.4],
+            precipitation_sum: [14.0, 16.2, 13.0, 6.8, 2.2, 2.8, 8.1, 14.0, 16.2, 12.9, 6.6, 2.2, 2.9, 8.2],
+            precipitation_probability_max: [100, 100, 100, 65, 34, 38, 74, 100, 100, 100, 64, 34, 39, 74],
+            sunshine_duration: [2810, 35, 4044, 11804, 17442, 16691, 10120, 2701, 49, 4171, 11947, 17493, 16612, 9970],
+            windspeed_10m_max: [21.1, 24.5, 30.4, 29.0, 22.6, 21.8, 28.0, 30.9, 25.7, 21.0, 24.6, 30.5, 28.9, 22.5],
+            windgusts_10m_max: [41.1, 47.2, 58.0, 55.5, 43.9, 42.4, 53.5, 58.8, 49.4, 41.1, 47.5, 58.1, 55.2, 43.7],
+            uv_index_max: [1.0, 0.5, 1.2, 2.5, 3.4, 3.3, 2.2, 1.0, 0.5, 1.2, 2.5, 3.4, 3.3, 2.2],
+            snowfall_sum: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+            relative_humidity_2m_mean: [90, 92, 89, 82, 77, 78, 84, 90, 92, 89, 82, 77, 78, 84],
+            cloud_cover_mean: [98, 100, 96, 78, 66, 67, 82, 98, 100, 95, 78, 66, 68, 82],
+            apparent_temperature_max: [10.3, 9.1, 9.9, 12.6, 15.0, 14.8, 12.1, 9.4, 9.0, 10.7, 13.0, 14.4, 14.2, 12.5]
+        }
+    },
+    {
+        name: 'alpine-cold',
+        daily: {
+            temperature_2m_max: [1.3, 3.5, 6.0, 7.0, 5.8, 3.2, 1.2, 1.4, 3.5, 6.0, 7.0, 5.7, 3.1, 1.2],
+            temperature_2m_min: [-8.3, -5.3, -2.1, -1.2, -3.4, -6.7, -8.6, -7.6, -4.7, -2.1, -1.9, -4.0, -6.8, -8.1],
+            precipitation_sum: [3.4, 2.3, 0.9, 0.4, 1.1, 2.4, 3.5, 3.4, 2.3, 0.9, 0.4, 1.1, 2.5, 3.5],
+            precipitation_probability_max: [61, 44, 24, 16, 25, 46, 62, 61, 43, 23, 16, 26, 46, 62],
+            sunshine_duration: [13649, 19961, 27513, 30590, 26864, 19154, 13295, 13721, 20110, 27626, 30582, 26741, 19009, 13238],
+            windspeed_10m_max: [18.7, 25.2, 26.3, 20.3, 17.1, 22.0, 26.9, 23.7, 17.6, 18.9, 25.3, 26.3, 20.1, 17.1],
+            windgusts_10m_max: [39.1, 50.7, 52.8, 41.9, 36.1, 45.0, 53.9, 48.0, 37.1, 39.3, 50.9, 52.7, 41.7, 36.2],
+            uv_index_max: [2.7, 3.7, 5.0, 5.5, 4.9, 3.6, 2.6, 2.7, 3.8, 5.0, 5.5, 4.9, 3.6, 2.6],
+            snowfall_sum: [5.7, 3.5, 1.0, 0.0, 1.2, 3.8, 5.8, 5.6, 3.5, 1.0, 0.0, 1.3, 3.9, 5.8],
+            relative_humidity_2m_mean: [77, 71, 64, 62, 65, 72, 77, 77, 71, 64, 62, 65, 72, 77],
+            cloud_cover_mean: [67, 53, 36, 30, 38, 55, 68, 67, 53, 36, 30, 38, 55, 68],
+            apparent_temperature_max: [-0.1, 1.4, 3.9, 5.4, 4.4, 1.4, -0.9, -0.5, 2.1, 4.5, 5.0, 3.6, 1.5, -0.2]
+        }
+    }
+];
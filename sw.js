@@ -0,0 +1,135 @@
+// Weather Chaser service worker
+// Keeps the app usable offline after a plan has been made online.
+
+const SHELL_CACHE = 'weather-chaser-shell-v1';
+const TILE_CACHE = 'weather-chaser-tiles';
+const API_CACHE = 'weather-chaser-api';
+
+const MAX_TILES = 1500;
+const MAX_API_RESPONSES = 400;
+
+// Header added to API responses served from the cache while offline
+const CACHED_AT_HEADER = 'X-Weather-Chaser-Cached-At';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'fixtures/mock-forecast.js',
+    'vendor/leaflet/leaflet.css',
+    'vendor/leaflet/leaflet.js',
+    'vendor/leaflet/images/layers.png',
+    'vendor/leaflet/images/layers-2x.png',
+    'vendor/leaflet/images/marker-icon.png',
+    'vendor/leaflet/images/marker-icon-2x.png',
+    'vendor/leaflet/images/marker-shadow.png',
+    'vendor/leaflet-draw/leaflet.draw.css',
+    'vendor/leaflet-draw/leaflet.draw.js',
+    'vendor/leaflet-draw/images/spritesheet.png',
+    'vendor/leaflet-draw/images/spritesheet-2x.png',
+    'vendor/leaflet-draw/images/spritesheet.svg',
+    'vendor/geo-maps/earth-lands-10km.js'
+];
+
+const API_HOSTS = ['api.open-meteo.com', 'ensemble-api.open-meteo.com', 'api.met.no', 'nominatim.openstreetmap.org'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell caches from older versions; tiles and API responses carry over
+    const keep = [SHELL_CACHE, TILE_CACHE, API_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (url.hostname.endsWith('tile.openstreetmap.org')) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (API_HOSTS.includes(url.hostname)) {
+        event.respondWith(apiWithFallback(request));
+    }
+});
+
+async function networkFirst(request, cacheName) {
+    // Serve fresh app files when online so updates show up without a version bump
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(TILE_CACHE, MAX_TILES);
+    }
+    return response;
+}
+
+async function apiWithFallback(request) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            // Remember when this copy was fetched so offline views can say how old it is
+            const body = await response.clone().blob();
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+
+            await cache.put(request, new Response(body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: headers
+            }));
+            trimCache(API_CACHE, MAX_API_RESPONSES);
+        }
+
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function trimCache(cacheName, maxEntries) {
+    // Cache keys come back in insertion order, so the oldest entries go first
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+
+    for (let i = 0; i < keys.length - maxEntries; i++) {
+        await cache.delete(keys[i]);
+    }
+}